@@ -1,23 +1,54 @@
 import { ImageGenerator } from './imageGen.js';
+import { GenerationQueue } from './generationQueue.js';
+import { buildEditMask } from './imageMask.js';
+import { VariationSheet } from './variationSheet.js';
+import { getImageVersions, getCurrentVersion, replaceCurrentPicture, createThumbnail } from './imageVersions.js';
+import { createTextRecognizer } from './textRecognizers.js';
+import { createTextObject, drawText } from './textObjects.js';
+import { traceStroke } from './strokeStyle.js';
+import {
+    AddStrokesCommand,
+    DeleteStrokesCommand,
+    UpdateImageCommand,
+    CompositeCommand,
+    AITransactionCommand
+} from './commands.js';
+
+// Levels of edit chips: the top-level options plus this many - 1 rounds of refinements
+const MAX_EDIT_OPTION_DEPTH = 3;
 
 // AI Generation Logic for Image Generation
 class AIGenerator {
-    constructor() {
+    constructor(settings) {
+        this.settings = settings;
         this.apiKey = window.OPENAI_API_KEY;
-        this.imageGenerator = new ImageGenerator(this.apiKey);
+        this.apiBaseUrl = window.OPENAI_BASE_URL || 'https://api.openai.com';
+        this.imageGenerator = new ImageGenerator(this.apiKey, window.IMAGE_PROVIDER);
+        
+        // Turns handwriting into text objects: the vision model by default, or on the device
+        this.textRecognizer = createTextRecognizer({
+            apiKey: this.apiKey,
+            baseUrl: this.apiBaseUrl,
+            ...window.TEXT_RECOGNIZER
+        });
+        
+        // Every AI request goes through one queue so bursts do not hit rate limits
+        this.queue = new GenerationQueue({ maxConcurrent: window.AI_MAX_CONCURRENT || 2 });
+        this.variationSheet = new VariationSheet();
     }
 
-    async analyzeAction(imageData, contentType, canvasContext) {
+    async analyzeAction(imageData, contentType, canvasContext, signal = null) {
         if (!this.apiKey || this.apiKey === 'your-openai-api-key-here') {
             throw new Error('OpenAI API key not found. Please set it in env.js file.');
         }
         
         const prompt = `Analyze the dragged content and canvas state to determine:
-1. action_type: "generate" (new image from sketch), "update" (edit existing image), or "execute_action" (perform action like delete)
+1. action_type: "generate" (new image from sketch), "update" (edit existing image), "write_text" (the sketch is only handwritten words to turn into typed text), or "execute_action" (perform action like delete)
 2. image_prompt: Detailed prompt for image generation (if generate/update)
 3. description: What action is being performed
 
 IMPORTANT: The sketch lines are artistic guidance and direction - not literal content to copy. They represent the user's intent and artistic vision, not the actual image content.
+Stroke colors are deliberate: they show the colors the user wants (e.g. a blue sky, a red car) and should carry into the image_prompt. Translucent highlighter marks point out areas to focus on.
 
 Context provided:
 - Dragged content type: ${contentType}
@@ -33,8 +64,9 @@ Return JSON: {"action_type": "...", "image_prompt": "...", "description": "..."}
             window.toastManager.logAIRequest('Analyzing action...', imageData, prompt);
         }
         
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
+        const response = await fetch(`${this.apiBaseUrl}/v1/chat/completions`, {
             method: 'POST',
+            signal: signal,
             headers: {
                 'Authorization': `Bearer ${this.apiKey}`,
                 'Content-Type': 'application/json'
@@ -82,6 +114,17 @@ Return JSON: {"action_type": "...", "image_prompt": "...", "description": "..."}
     }
 
     async processDrawing(drawingManager, draggedStrokes) {
+        // Text objects are the user's own words: they become the prompt as written,
+        // without asking the vision model what the drawing means
+        const writtenText = this.getWrittenText(draggedStrokes);
+        if (writtenText) {
+            await this.processWrittenText(drawingManager, writtenText, draggedStrokes);
+            return;
+        }
+        
+        // Lets the user stop the analysis step; image requests get their own controller
+        const analysis = new AbortController();
+        
         try {
             // Analyze content type
             const contentType = this.analyzeContent(draggedStrokes);
@@ -92,28 +135,39 @@ Return JSON: {"action_type": "...", "image_prompt": "...", "description": "..."}
             
             // Log AI request
             if (window.toastManager) {
-                window.toastManager.logAIRequest('Analyzing drawing...', imageData);
+                window.toastManager.logAIRequest('Analyzing drawing...', imageData, null, [
+                    { label: 'Cancel', onClick: () => analysis.abort() }
+                ]);
             }
             
-            // Check if we have both strokes and images for the two-step process
-            const hasImages = draggedStrokes.some(stroke => stroke.type === 'image-object');
+            // Check if we have both strokes and images (or several images to combine) for the two-step process
+            const imageCount = draggedStrokes.filter(stroke => stroke.type === 'image-object').length;
             const hasStrokes = draggedStrokes.some(stroke => stroke.type !== 'image-object');
             
-            if (hasImages && hasStrokes) {
+            if ((imageCount > 0 && hasStrokes) || imageCount > 1) {
                 // Two-step process: generate options first
-                await this.generateEditOptions(drawingManager, imageData, draggedStrokes);
+                await this.queue.add(
+                    signal => this.generateEditOptions(drawingManager, imageData, draggedStrokes, signal),
+                    { signal: analysis.signal }
+                );
             } else {
                 // Single-step process: direct action
-                const action = await this.analyzeAction(imageData, contentType, canvasContext);
+                const action = await this.queue.add(
+                    signal => this.analyzeAction(imageData, contentType, canvasContext, signal),
+                    { signal: analysis.signal }
+                );
                 
                 // Execute based on action type
                 switch(action.action_type) {
                     case 'generate':
-                        await this.generateNewImage(drawingManager, action.image_prompt, imageData);
+                        await this.generateNewImage(drawingManager, action.image_prompt, imageData, draggedStrokes);
                         break;
                     case 'update':
                         await this.updateExistingImage(drawingManager, action.image_prompt, draggedStrokes);
                         break;
+                    case 'write_text':
+                        await this.convertToText(drawingManager, imageData, draggedStrokes, analysis.signal);
+                        break;
                     case 'execute_action':
                         await this.executeCustomAction(drawingManager, action, draggedStrokes);
                         break;
@@ -121,40 +175,83 @@ Return JSON: {"action_type": "...", "image_prompt": "...", "description": "..."}
             }
             
         } catch (error) {
+            if (error.name === 'AbortError') {
+                if (window.toastManager) {
+                    window.toastManager.logInfo('Analysis cancelled');
+                }
+                return;
+            }
             console.error('Error processing drawing:', error);
             if (window.toastManager) {
-                window.toastManager.logError('Processing failed', { error: error.message });
+                window.toastManager.logError('Processing failed', {
+                    error: error.message,
+                    actions: this.getRetryActions(() => this.processDrawing(drawingManager, draggedStrokes))
+                });
             }
         }
     }
 
+    // Text of the dragged text objects in reading order (top to bottom, then left to right)
+    getWrittenText(draggedStrokes) {
+        return draggedStrokes
+            .filter(stroke => stroke.type === 'text-object' && stroke.text.trim())
+            .sort((a, b) => (a.position.y - b.position.y) || (a.position.x - b.position.x))
+            .map(stroke => stroke.text.trim())
+            .join('\n');
+    }
+    
+    // Written text is an explicit prompt: it edits the dragged image(s), or generates a new
+    // image that follows any sketch dragged along with it
+    async processWrittenText(drawingManager, writtenText, draggedStrokes) {
+        if (draggedStrokes.some(stroke => stroke.type === 'image-object')) {
+            await this.updateExistingImage(drawingManager, writtenText, draggedStrokes);
+            return;
+        }
+        
+        const sketch = draggedStrokes.filter(stroke => stroke.type !== 'text-object');
+        const sketchImageData = sketch.length > 0 ? await this.captureSelectedStrokes(drawingManager, sketch) : null;
+        await this.generateNewImage(drawingManager, writtenText, sketchImageData, draggedStrokes);
+    }
+    
+    // Replace handwritten strokes with a text object holding what they say (one undo step)
+    async convertToText(drawingManager, imageData, draggedStrokes, signal = null) {
+        if (window.toastManager) {
+            window.toastManager.logInfo('Reading handwriting...');
+        }
+        
+        const text = await this.queue.add(
+            jobSignal => this.textRecognizer.recognize({ imageData: imageData, signal: jobSignal }),
+            { signal: signal }
+        );
+        
+        // Only the pen strokes still on the board are replaced
+        const strokes = this.getSketchStrokes(drawingManager, draggedStrokes).filter(stroke => stroke.type !== 'text-object');
+        if (!text || strokes.length === 0) {
+            if (window.toastManager) {
+                window.toastManager.logError('No text recognized');
+            }
+            return;
+        }
+        
+        const textObj = createTextObject(text, drawingManager.getStrokesBounds(strokes));
+        drawingManager.history.execute(new CompositeCommand('write text', [
+            new DeleteStrokesCommand(drawingManager, strokes),
+            new AddStrokesCommand(drawingManager, [textObj])
+        ]));
+        drawingManager.redraw();
+        
+        if (window.toastManager) {
+            window.toastManager.logSuccess(`Text: ${text}`);
+        }
+    }
+    
     async captureSelectedStrokes(drawingManager, draggedStrokes) {
         // Create temporary canvas
         const tempCanvas = document.createElement('canvas');
         const tempCtx = tempCanvas.getContext('2d');
         
         // Calculate bounding box of selected strokes
-        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-        
-        draggedStrokes.forEach(stroke => {
-            if (stroke.type === 'image-object') {
-                // For image objects, use position and dimensions
-                const x = stroke.position.x - stroke.width / 2;
-                const y = stroke.position.y - stroke.height / 2;
-                minX = Math.min(minX, x - 10);
-                minY = Math.min(minY, y - 10);
-                maxX = Math.max(maxX, x + stroke.width + 10);
-                maxY = Math.max(maxY, y + stroke.height + 10);
-            } else if (stroke.points) {
-                // For regular strokes, use points
-                stroke.points.forEach(point => {
-                    minX = Math.min(minX, point.x);
-                    minY = Math.min(minY, point.y);
-                    maxX = Math.max(maxX, point.x);
-                    maxY = Math.max(maxY, point.y);
-                });
-            }
-        });
+        const { minX, minY, maxX, maxY } = drawingManager.getStrokesBounds(draggedStrokes);
         
         const width = maxX - minX + 80; // Add more padding
         const height = maxY - minY + 80;
@@ -224,26 +321,21 @@ Return JSON: {"action_type": "...", "image_prompt": "...", "description": "..."}
         // Then draw all strokes on top (foreground layer)
         draggedStrokes.forEach(stroke => {
             if (stroke.type !== 'image-object' && stroke.points && stroke.points.length > 1) {
-                // Draw regular stroke with pressure-based line width
-                tempCtx.lineCap = 'round';
-                tempCtx.lineJoin = 'round';
-                tempCtx.strokeStyle = '#000000'; // Ensure black color
-                
-                // Draw each segment with its own pressure
-                for (let i = 1; i < stroke.points.length; i++) {
-                    const prevPoint = stroke.points[i - 1];
-                    const currentPoint = stroke.points[i];
-                    const pressure = stroke.pressures ? stroke.pressures[i] : 0.5;
-                    
-                    // Set line width based on pressure (same as canvas)
-                    tempCtx.lineWidth = Math.max(2, pressure * 20);
-                    
-                    // Draw this segment
-                    tempCtx.beginPath();
-                    tempCtx.moveTo(prevPoint.x - minX + 40, prevPoint.y - minY + 40);
-                    tempCtx.lineTo(currentPoint.x - minX + 40, currentPoint.y - minY + 40);
-                    tempCtx.stroke();
-                }
+                // Drawn in its own color, width and brush, shifted into the capture
+                tempCtx.save();
+                tempCtx.translate(40 - minX, 40 - minY);
+                traceStroke(tempCtx, stroke, { minWidth: 2 });
+                tempCtx.restore();
+            }
+        });
+        
+        // Text objects last, shifted into the capture like everything else
+        draggedStrokes.forEach(stroke => {
+            if (stroke.type === 'text-object') {
+                drawText(tempCtx, {
+                    ...stroke,
+                    position: { x: stroke.position.x - minX + 40, y: stroke.position.y - minY + 40 }
+                });
             }
         });
         
@@ -264,42 +356,21 @@ Return JSON: {"action_type": "...", "image_prompt": "...", "description": "..."}
         }
     }
     
-    async generateNewImage(drawingManager, prompt, sketchImageData) {
-        // Remove original sketch strokes first
-        const originalStrokes = drawingManager.draggedStrokes.filter(stroke => stroke.type !== 'image-object');
-        originalStrokes.forEach(stroke => {
-            const index = drawingManager.strokes.indexOf(stroke);
-            if (index > -1) {
-                drawingManager.strokes.splice(index, 1);
-            }
-        });
-        
-        // Create placeholder image object
-        const imageObj = {
-            type: 'image-object',
-            position: { 
-                x: drawingManager.canvas.width / 2, 
-                y: drawingManager.canvas.height / 2 
-            },
-            width: 512,
-            height: 512,
-            imageData: null,
-            selected: false,
-            isGenerating: true,
-            currentFrame: 0
-        };
+    async generateNewImage(drawingManager, prompt, sketchImageData, draggedStrokes = []) {
+        const sketchStrokes = this.getSketchStrokes(drawingManager, draggedStrokes);
+        const box = this.getTargetBox(drawingManager, sketchStrokes);
         
-        drawingManager.strokes.push(imageObj);
-        drawingManager.redraw();
+        // Create placeholder image object where the sketch was
+        const imageObj = this.createPlaceholder(box);
         
-        // Start animation loop for generating state
-        const animateGeneration = () => {
-            if (imageObj.isGenerating) {
-                drawingManager.redraw();
-                requestAnimationFrame(animateGeneration);
-            }
-        };
-        animateGeneration();
+        // Sketch removal and the new image are one history entry, recorded now so
+        // undo works while the request is still running
+        const transaction = this.startTransaction(drawingManager, {
+            label: 'AI generate',
+            sketchStrokes: sketchStrokes,
+            newImage: imageObj
+        });
+        transaction.box = box;
         
         // Show generating toast
         if (window.toastManager) {
@@ -307,174 +378,464 @@ Return JSON: {"action_type": "...", "image_prompt": "...", "description": "..."}
         }
         
         try {
-            // Create a realistic prompt based on the sketch
-            const realisticPrompt = `Create a photorealistic, high-quality image based on this sketch. The sketch lines are artistic guidance and direction - not the actual image content. Use the sketch as inspiration to generate a realistic, professional image with proper lighting, shadows, and details. ${prompt}`;
+            // Create a prompt in the board's style based on the sketch; written text alone
+            // (no sketch) is the whole description
+            const styledPrompt = sketchImageData
+                ? `Create an image based on this sketch in this style: ${drawingManager.style.prompt}. The sketch lines are artistic guidance and direction - not the actual image content. Use the sketch as inspiration to generate a finished, professional image. ${prompt}${this.getLayoutInstruction()}`
+                : `Create a finished, professional image in this style: ${drawingManager.style.prompt}. ${prompt}`;
             
             // Log the image generation request with prompt
             if (window.toastManager) {
-                window.toastManager.logAIRequest('Generating image...', sketchImageData, realisticPrompt);
+                window.toastManager.logAIRequest('Generating image...', sketchImageData, styledPrompt);
             }
             
-            await this.imageGenerator.generateImage(
-                realisticPrompt,
+            // The new image's first version
+            transaction.version = {
+                prompt: styledPrompt,
+                instruction: prompt,
+                sketch: sketchImageData ? await createThumbnail(sketchImageData) : null
+            };
+            
+            let results = [];
+            await this.queue.add(signal => this.imageGenerator.generateImage(
+                styledPrompt,
                 (partialBase64, frameIndex) => {
-                    // Not used for single image
+                    this.showPartialImage(transaction, partialBase64, frameIndex);
                 },
-                (finalBase64) => {
-                    // Update final image and resize to match actual proportions
-                    imageObj.imageData = finalBase64;
-                    imageObj.isGenerating = false;
-                    
-                    // Load the image to get its actual dimensions
-                    const img = new Image();
-                    img.onload = () => {
-                        // Calculate new dimensions maintaining aspect ratio
-                        const maxSize = 512;
-                        const aspectRatio = img.width / img.height;
-                        
-                        if (aspectRatio > 1) {
-                            // Landscape
-                            imageObj.width = maxSize;
-                            imageObj.height = maxSize / aspectRatio;
-                        } else {
-                            // Portrait or square
-                            imageObj.height = maxSize;
-                            imageObj.width = maxSize * aspectRatio;
-                        }
-                        
-                        drawingManager.undoManager.save();
-                        drawingManager.redraw();
-                        if (window.toastManager) {
-                            window.toastManager.logSuccess('Image generated!');
-                        }
-                    };
-                    img.src = `data:image/png;base64,${finalBase64}`;
+                (finalBase64, allResults) => {
+                    results = allResults;
                 },
-                sketchImageData
-            );
+                {
+                    sketchImageData: sketchImageData,
+                    sketchStrength: this.settings.get('sketchStrength'),
+                    signal: signal,
+                    size: this.imageGenerator.getSizeForAspect(box.width, box.height),
+                    n: this.getVariationCount()
+                }
+            ), this.getJobOptions(drawingManager, transaction));
+            
+            if (await this.completeTransaction(drawingManager, transaction, results)) {
+                if (window.toastManager) {
+                    window.toastManager.logSuccess('Image generated!');
+                }
+                // Choosing none takes the new image away again
+                this.pickVariations(drawingManager, transaction.image, results, null);
+            }
         } catch (error) {
             console.error('Image generation failed:', error);
-            // Remove failed image object
-            const index = drawingManager.strokes.indexOf(imageObj);
-            if (index > -1) {
-                drawingManager.strokes.splice(index, 1);
-            }
-            drawingManager.redraw();
-            if (window.toastManager) {
-                window.toastManager.logError('Image generation failed');
+            // Take the placeholder away and put the sketch back
+            const rolledBack = this.failTransaction(drawingManager, transaction);
+            if (rolledBack) {
+                if (window.toastManager) {
+                    window.toastManager.logError('Image generation failed', {
+                        error: error.message,
+                        actions: this.getRetryActions(
+                            () => this.generateNewImage(drawingManager, prompt, sketchImageData, draggedStrokes),
+                            rolledBack
+                        )
+                    });
+                }
             }
         }
     }
     
-    async updateExistingImage(drawingManager, prompt, draggedStrokes) {
-        // Find the image object to update
-        const imageObj = draggedStrokes.find(stroke => stroke.type === 'image-object');
-        if (!imageObj) {
+    async updateExistingImage(drawingManager, prompt, draggedStrokes, resultMode = this.settings.get('editResult')) {
+        const imageCount = draggedStrokes.filter(stroke => stroke.type === 'image-object').length;
+        
+        // Create enhanced prompt for image editing
+        const enhancedPrompt = imageCount > 1
+            ? `Combine these ${imageCount} reference images into a single image based on the sketch guidance provided. The sketch lines are artistic direction and intent - not literal content to copy. Keep the subjects recognizable and render the result in this style: ${drawingManager.style.prompt}. ${prompt}`
+            : `Update this image based on the sketch guidance provided. The sketch lines are artistic direction and intent - not literal content to copy. Use the sketch as inspiration to modify the existing image, rendered in this style: ${drawingManager.style.prompt}. ${prompt}`;
+        
+        await this.editImages(drawingManager, draggedStrokes, {
+            prompt: enhancedPrompt,
+            instruction: prompt,
+            message: 'Editing image...',
+            resultMode: resultMode,
+            retry: () => this.updateExistingImage(drawingManager, prompt, draggedStrokes, resultMode)
+        });
+    }
+    
+    // Edit one image, or compose several selected images into one. The result replaces
+    // the source image(s) or is placed beside them (resultMode 'replace' or 'beside').
+    // instruction is what the user asked for, recorded in the result's version list.
+    async editImages(drawingManager, draggedStrokes, { prompt, instruction, message, resultMode, retry }) {
+        // Only images still on the board are sent; the first one is the base picture
+        const images = draggedStrokes.filter(stroke =>
+            stroke.type === 'image-object' && drawingManager.strokes.includes(stroke)
+        );
+        if (images.length === 0) {
             if (window.toastManager) {
-                window.toastManager.logError('No image found to update');
+                window.toastManager.logError('No image found to edit');
             }
             return;
         }
-        
-        // Remove sketch strokes first
-        const sketchStrokes = draggedStrokes.filter(stroke => stroke.type !== 'image-object');
-        sketchStrokes.forEach(stroke => {
-            const index = drawingManager.strokes.indexOf(stroke);
-            if (index > -1) {
-                drawingManager.strokes.splice(index, 1);
+        if (images.some(image => image.isGenerating)) {
+            if (window.toastManager) {
+                window.toastManager.logError('Image is still generating');
             }
-        });
+            return;
+        }
         
-        // Set generating state
-        imageObj.isGenerating = true;
-        imageObj.currentFrame = 0;
-        drawingManager.redraw();
+        // Convert images to blobs for editing before the transaction marks anything as generating
+        const imageBlobs = images.map(image => this.imageGenerator.base64ToBlob(image.imageData));
+        const sketchStrokes = this.getSketchStrokes(drawingManager, draggedStrokes);
+        const sourceBox = this.getImagesBox(images);
         
-        // Start animation loop for generating state
-        const animateGeneration = () => {
-            if (imageObj.isGenerating) {
-                drawingManager.redraw();
-                requestAnimationFrame(animateGeneration);
-            }
-        };
-        animateGeneration();
+        let box = sourceBox;
+        let transaction;
+        if (resultMode === 'beside') {
+            // Same size, to the right of the source image(s), which stay untouched
+            box = { ...sourceBox, x: sourceBox.x + sourceBox.width + 40 };
+            transaction = this.startTransaction(drawingManager, {
+                label: 'AI edit',
+                sketchStrokes: sketchStrokes,
+                newImage: this.createPlaceholder(box)
+            });
+        } else if (images.length > 1) {
+            // The combined picture takes the place of all its sources
+            transaction = this.startTransaction(drawingManager, {
+                label: 'AI combine',
+                sketchStrokes: sketchStrokes,
+                removedImages: images,
+                newImage: this.createPlaceholder(box)
+            });
+        } else {
+            // The edited picture keeps the image's current box and adds to its versions
+            transaction = this.startTransaction(drawingManager, {
+                label: 'AI edit',
+                sketchStrokes: sketchStrokes,
+                editedImage: images[0]
+            });
+            transaction.versions = getImageVersions(images[0]);
+        }
+        transaction.box = box;
         
         if (window.toastManager) {
-            window.toastManager.logInfo('Updating image...');
+            window.toastManager.logInfo(message);
         }
         
         try {
-            // Convert image to blob for editing
-            const imageBlob = this.imageGenerator.base64ToBlob(imageObj.imageData);
-            
-            // Create enhanced prompt for image editing
-            const enhancedPrompt = `Update this image based on the sketch guidance provided. The sketch lines are artistic direction and intent - not literal content to copy. Use the sketch as inspiration to modify the existing image while maintaining its realistic, professional quality. ${prompt}`;
-            
             // Log the image editing request with prompt
             if (window.toastManager) {
-                window.toastManager.logAIRequest('Editing image...', null, enhancedPrompt);
+                window.toastManager.logAIRequest(message, null, prompt);
             }
             
-            await this.imageGenerator.editImage(
-                [imageBlob],
-                enhancedPrompt,
+            // A mask only makes sense when editing a single picture
+            const mask = images.length === 1 ? await this.getEditMask(images[0], sketchStrokes) : null;
+            
+            transaction.version = {
+                prompt: prompt,
+                instruction: instruction,
+                sketch: sketchStrokes.length > 0
+                    ? await createThumbnail(await this.captureSelectedStrokes(drawingManager, sketchStrokes))
+                    : null
+            };
+            
+            let results = [];
+            await this.queue.add(signal => this.imageGenerator.editImage(
+                imageBlobs,
+                prompt,
                 (partialBase64, frameIndex) => {
-                    // Not used for single image
+                    this.showPartialImage(transaction, partialBase64, frameIndex);
                 },
-                (finalBase64) => {
-                    imageObj.imageData = finalBase64;
-                    imageObj.isGenerating = false;
-                    
-                    // Load the image to get its actual dimensions
-                    const img = new Image();
-                    img.onload = () => {
-                        // Calculate new dimensions maintaining aspect ratio
-                        const maxSize = 512;
-                        const aspectRatio = img.width / img.height;
-                        
-                        if (aspectRatio > 1) {
-                            // Landscape
-                            imageObj.width = maxSize;
-                            imageObj.height = maxSize / aspectRatio;
-                        } else {
-                            // Portrait or square
-                            imageObj.height = maxSize;
-                            imageObj.width = maxSize * aspectRatio;
-                        }
-                        
-                        drawingManager.undoManager.save();
-                        drawingManager.redraw();
-                        if (window.toastManager) {
-                            window.toastManager.logInfo('Image updated!');
-                        }
-                    };
-                    img.src = `data:image/png;base64,${finalBase64}`;
+                (finalBase64, allResults) => {
+                    results = allResults;
+                },
+                {
+                    signal: signal,
+                    size: this.imageGenerator.getSizeForAspect(box.width, box.height),
+                    mask: mask,
+                    n: this.getVariationCount()
                 }
-            );
+            ), this.getJobOptions(drawingManager, transaction));
+            
+            if (await this.completeTransaction(drawingManager, transaction, results)) {
+                if (window.toastManager) {
+                    window.toastManager.logInfo('Image updated!');
+                }
+                // Choosing none puts an edited image's previous picture back
+                this.pickVariations(drawingManager, transaction.image, results, transaction.before);
+            }
         } catch (error) {
             console.error('Image update failed:', error);
-            imageObj.isGenerating = false;
-            drawingManager.redraw();
+            // Keep the old picture(s) and put the sketch back
+            const rolledBack = this.failTransaction(drawingManager, transaction);
+            if (rolledBack) {
+                if (window.toastManager) {
+                    window.toastManager.logError('Image update failed', {
+                        error: error.message,
+                        actions: this.getRetryActions(retry, rolledBack)
+                    });
+                }
+            }
+        }
+    }
+    
+    // Only sketch strokes that are still on the board; the user may have undone
+    // or deleted some while the drawing was being analyzed
+    getSketchStrokes(drawingManager, draggedStrokes) {
+        return draggedStrokes.filter(stroke =>
+            stroke.type !== 'image-object' && drawingManager.strokes.includes(stroke)
+        );
+    }
+    
+    startTransaction(drawingManager, options) {
+        const transaction = new AITransactionCommand(drawingManager, options);
+        
+        // Undo or the cancel button on the placeholder aborts the request
+        const controller = new AbortController();
+        transaction.signal = controller.signal;
+        transaction.onCancel = () => {
+            controller.abort();
             if (window.toastManager) {
-                            window.toastManager.logInfo('Image update failed');
-                        }
+                window.toastManager.logInfo(`${options.label} cancelled`);
+            }
+        };
+        drawingManager.history.execute(transaction);
+        drawingManager.redraw();
+        return transaction;
+    }
+    
+    // Queue options for a transaction's request: its placeholder shows the job status
+    getJobOptions(drawingManager, transaction) {
+        return {
+            signal: transaction.signal,
+            image: transaction.image,
+            redraw: () => drawingManager.redraw()
+        };
+    }
+    
+    // Decode a streamed preview frame into the placeholder; the queue's animation loop redraws it
+    showPartialImage(transaction, base64, frameIndex) {
+        const img = new Image();
+        img.onload = () => {
+            const imageObj = transaction.image;
+            // Frames can finish decoding out of order, and late frames after completion are ignored
+            if (!transaction.isPending() || frameIndex + 1 <= imageObj.currentFrame) return;
+            
+            imageObj.previewImage = img;
+            imageObj.currentFrame = frameIndex + 1;
+        };
+        img.src = `data:image/png;base64,${base64}`;
+    }
+    
+    // Retry reuses the prompt of the failed request instead of analyzing the drawing again.
+    // A failed transaction's retry waits until its sketch is back on the board (see failTransaction).
+    getRetryActions(retry, rolledBack = null) {
+        return [{ label: 'Retry', onClick: () => (rolledBack ? rolledBack.then(retry) : retry()) }];
+    }
+    
+    // Apply a finished result; returns false when the transaction was undone meanwhile
+    // The first result becomes the picture; any further variations are kept on the image.
+    // The result is added to the image's versions (transaction.versions, after
+    // transaction.version describing this request).
+    async completeTransaction(drawingManager, transaction, results) {
+        if (!transaction.isPending()) return false;
+        
+        const size = await this.getPlacedSize(results[0], transaction.box);
+        
+        // The stale result is dropped if the user undid while the image was loading
+        if (!transaction.isPending()) return false;
+        
+        const version = {
+            ...transaction.version,
+            imageData: results[0],
+            ...size,
+            createdAt: Date.now()
+        };
+        transaction.complete({
+            imageData: results[0],
+            variants: results.slice(1),
+            versions: [...(transaction.versions || []), version],
+            ...size
+        });
+        drawingManager.history.notifyChange();
+        drawingManager.redraw();
+        return true;
+    }
+    
+    // Roll a failed transaction back out of the history. Returns a promise that resolves
+    // once it is rolled back, or null if it was already cancelled.
+    failTransaction(drawingManager, transaction) {
+        if (!transaction.isPending()) return null;
+        
+        // Leave the failed placeholder up briefly so it is clear which job failed
+        transaction.fail();
+        return new Promise(resolve => {
+            setTimeout(() => {
+                drawingManager.history.rollback(transaction);
+                drawingManager.redraw();
+                resolve();
+            }, this.queue.statusDisplayTime);
+        });
+    }
+    
+    // Results per request (settings 'variations', 1-4); more than one opens the contact sheet
+    getVariationCount() {
+        const count = Math.round(Number(this.settings.get('variations'))) || 1;
+        return Math.max(1, Math.min(4, count));
+    }
+    
+    // Show the results next to the image and apply what the user keeps: the first chosen
+    // becomes the picture, other chosen ones are placed beside it and the rest stay in
+    // imageObj.variants. Keeping none restores `original` ({ imageData, width, height,
+    // variants }) with every result added to its variants. Without one (a new image, or the
+    // sheet reopened from the badge) keeping none changes nothing: results were paid for, so
+    // they stay on the image and the user can delete it instead. All of it is one undoable step.
+    async pickVariations(drawingManager, imageObj, results, original) {
+        if (results.length < 2) return;
+        
+        const chosen = await this.variationSheet.show(drawingManager.canvasManager, imageObj, results);
+        
+        // Closed without a decision, or the image changed meanwhile (e.g. undo)
+        if (!chosen || !drawingManager.strokes.includes(imageObj) || imageObj.imageData !== results[0]) return;
+        
+        // Keeping just the first result changes nothing
+        if (chosen.length === 1 && chosen[0] === 0) return;
+        
+        const unchosen = results.filter((result, index) => !chosen.includes(index));
+        const current = {
+            imageData: imageObj.imageData,
+            variants: imageObj.variants || [],
+            versions: imageObj.versions
+        };
+        let command;
+        
+        if (chosen.length === 0) {
+            if (!original) {
+                if (window.toastManager) {
+                    window.toastManager.logInfo(`All ${results.length} results stay with the image; the +${results.length - 1} badge reopens them`);
+                }
+                return;
+            }
+            command = new UpdateImageCommand(imageObj, { ...current, width: imageObj.width, height: imageObj.height }, {
+                ...original,
+                variants: [...(original.variants || []), ...results]
+            }, 'discard variations');
+        } else {
+            const keep = new UpdateImageCommand(imageObj, current, {
+                imageData: results[chosen[0]],
+                variants: unchosen,
+                versions: replaceCurrentPicture(imageObj, results[chosen[0]])
+            }, 'keep variation');
+            
+            // Further picks go in a row to the right of the image, starting out with the
+            // version that produced them
+            const currentVersion = getCurrentVersion(imageObj);
+            const copies = chosen.slice(1).map((resultIndex, i) => ({
+                type: 'image-object',
+                position: {
+                    x: imageObj.position.x + (imageObj.width + 40) * (i + 1),
+                    y: imageObj.position.y
+                },
+                width: imageObj.width,
+                height: imageObj.height,
+                imageData: results[resultIndex],
+                variants: [],
+                versions: currentVersion ? [{ ...currentVersion, imageData: results[resultIndex] }] : [],
+                selected: false
+            }));
+            command = copies.length > 0
+                ? new CompositeCommand('keep variations', [keep, new AddStrokesCommand(drawingManager, copies)])
+                : keep;
         }
+        
+        drawingManager.history.execute(command);
+        drawingManager.redraw();
+    }
+    
+    // Reopen the contact sheet for an image's picture and its kept variants
+    showVariants(drawingManager, imageObj) {
+        if (!imageObj.variants || imageObj.variants.length === 0 || imageObj.isGenerating) return;
+        this.pickVariations(drawingManager, imageObj, [imageObj.imageData, ...imageObj.variants], null);
+    }
+    
+    // Limit an edit to the area scribbled over; null edits the whole image
+    async getEditMask(imageObj, sketchStrokes) {
+        if (!this.settings.get('maskEdits')) return null;
+        return buildEditMask(imageObj, sketchStrokes);
+    }
+    
+    // The sketch itself is sent along as a reference image; tell the model how much of its layout to keep
+    getLayoutInstruction() {
+        const strength = this.settings.get('sketchStrength');
+        if (strength <= 0) return '';
+        if (strength >= 0.7) {
+            return ' Keep the composition of the reference sketch: place every object where it is drawn, at the drawn size.';
+        }
+        return ' Use the reference sketch for the rough placement of objects; the details are up to you.';
+    }
+    
+    // Where a generated image goes: the sketch's bounding box, or a 512px square in the
+    // middle of the view without a sketch. Tiny sketches still get a usable size.
+    getTargetBox(drawingManager, sketchStrokes) {
+        const bounds = drawingManager.getStrokesBounds(sketchStrokes);
+        if (!bounds) {
+            const center = drawingManager.canvasManager.getViewCenter();
+            return { x: center.x, y: center.y, width: 512, height: 512 };
+        }
+        
+        const minSize = 128;
+        return {
+            x: bounds.centerX,
+            y: bounds.centerY,
+            width: Math.max(minSize, bounds.width),
+            height: Math.max(minSize, bounds.height)
+        };
+    }
+    
+    // Box around one or more images, without their white border
+    getImagesBox(images) {
+        const minX = Math.min(...images.map(image => image.position.x - image.width / 2));
+        const minY = Math.min(...images.map(image => image.position.y - image.height / 2));
+        const maxX = Math.max(...images.map(image => image.position.x + image.width / 2));
+        const maxY = Math.max(...images.map(image => image.position.y + image.height / 2));
+        return {
+            x: (minX + maxX) / 2,
+            y: (minY + maxY) / 2,
+            width: maxX - minX,
+            height: maxY - minY
+        };
+    }
+    
+    createPlaceholder(box) {
+        return {
+            type: 'image-object',
+            position: { x: box.x, y: box.y },
+            width: box.width,
+            height: box.height,
+            imageData: null,
+            selected: false,
+            isGenerating: true,
+            currentFrame: 0
+        };
+    }
+    
+    // Load the image to get its actual dimensions, then size it into the box keeping its
+    // aspect ratio: 'fit' stays inside the box, 'fill' covers it
+    getPlacedSize(base64, box) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => {
+                const scaleX = box.width / img.width;
+                const scaleY = box.height / img.height;
+                const scale = this.settings.get('imagePlacement') === 'fill'
+                    ? Math.max(scaleX, scaleY)
+                    : Math.min(scaleX, scaleY);
+                
+                resolve({ width: img.width * scale, height: img.height * scale });
+            };
+            img.onerror = () => reject(new Error('Generated image could not be loaded'));
+            img.src = `data:image/png;base64,${base64}`;
+        });
     }
     
     async executeCustomAction(drawingManager, action, draggedStrokes) {
         // Handle custom actions like delete
         if (action.description.toLowerCase().includes('delete')) {
             // Remove dragged strokes
-            const strokeIds = draggedStrokes.map(s => drawingManager.strokes.indexOf(s));
-            strokeIds.sort((a, b) => b - a); // Sort in reverse order
-            
-            strokeIds.forEach(id => {
-                if (id >= 0 && id < drawingManager.strokes.length) {
-                    drawingManager.strokes.splice(id, 1);
-                }
-            });
-            
-            drawingManager.undoManager.save();
+            drawingManager.history.execute(new DeleteStrokesCommand(drawingManager, draggedStrokes));
             drawingManager.redraw();
             if (window.toastManager) {
                 window.toastManager.logSuccess('Items deleted');
@@ -482,83 +843,137 @@ Return JSON: {"action_type": "...", "image_prompt": "...", "description": "..."}
         }
     }
     
-    async generateEditOptions(drawingManager, imageData, draggedStrokes) {
+    async generateEditOptions(drawingManager, imageData, draggedStrokes, signal = null) {
+        const imageCount = draggedStrokes.filter(stroke => stroke.type === 'image-object').length;
+        const subject = imageCount > 1
+            ? `Analyze these ${imageCount} images (with any sketch overlays). They will be combined into one new image. Generate 2-4 specific, actionable options for how to combine them.`
+            : 'Analyze this image with sketch overlays. The sketch lines are artistic guidance for editing the existing image. Generate 2-4 specific, actionable edit options that the user might want to apply to the image.';
         try {
-            const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: 'gpt-4o-mini',
-                    messages: [{
-                        role: 'user',
-                        content: [
-                            {
-                                type: 'text',
-                                text: `Analyze this image with sketch overlays. The sketch lines are artistic guidance for editing the existing image. Generate 2-4 specific, actionable edit options that the user might want to apply to the image. Each option should be a clear, concise instruction (1-3 words) that describes what to do to the image.
+            const options = await this.requestEditOptions(imageData, `${subject} Each option should be a clear, concise instruction (1-3 words) that describes what to do to the image. Broad options are fine: the user can drill into any of them for more specific versions.
 
 Return JSON array: ["option1", "option2", "option3", "option4"]
 
-Examples: ["Add hat", "Change color", "Add background", "Make cartoon"]`
-                            },
-                            {
-                                type: 'image_url',
-                                image_url: { 
-                                    url: imageData,
-                                    detail: 'low'
-                                }
-                            }
-                        ]
-                    }],
-                    response_format: { type: "json_object" }
-                })
-            });
-
-            if (!response.ok) {
-                throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-            }
-
-            const result = await response.json();
-            const content = result.choices[0].message.content;
-            
-            let options;
-            try {
-                const parsed = JSON.parse(content);
-                options = parsed.options || parsed; // Handle different response formats
-            } catch (e) {
-                console.error('Failed to parse options:', content);
-                options = ["Add details", "Change style", "Add effects", "Modify colors"];
-            }
+Examples: ["Add hat", "Change color", "Add background", "Make cartoon"]`, signal);
             
             // Show options to user
-            this.showEditOptions(drawingManager, options, draggedStrokes);
+            this.showEditOptions(drawingManager, options, draggedStrokes, imageData);
             
         } catch (error) {
+            if (error.name === 'AbortError') throw error;
             console.error('Error generating options:', error);
             if (window.toastManager) {
-                window.toastManager.logError('Failed to generate options');
+                window.toastManager.logError('Failed to generate options', {
+                    error: error.message,
+                    actions: this.getRetryActions(() => this.processDrawing(drawingManager, draggedStrokes))
+                });
             }
         }
     }
     
-    showEditOptions(drawingManager, options, draggedStrokes) {
+    // Follow-up request for more specific versions of a chosen option; path is the
+    // option and its parents, top level first (e.g. ["Change color"])
+    async generateSubOptions(imageData, path, signal = null) {
+        return this.requestEditOptions(imageData, `Look at this image with sketch overlays. The user wants to edit it with: "${path.join(' > ')}". Suggest 2-4 more specific refinements of that edit. Each refinement should be a short phrase (1-4 words) that only makes sense as a more precise version of "${path[path.length - 1]}".
+
+Return JSON array: ["refinement1", "refinement2", "refinement3"]
+
+Example for "Change color": ["Warm palette", "Monochrome", "Pastel tones", "Neon accents"]`, signal);
+    }
+    
+    async requestEditOptions(imageData, text, signal) {
+        const response = await fetch(`${this.apiBaseUrl}/v1/chat/completions`, {
+            method: 'POST',
+            signal: signal,
+            headers: {
+                'Authorization': `Bearer ${this.apiKey}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                model: 'gpt-4o-mini',
+                messages: [{
+                    role: 'user',
+                    content: [
+                        {
+                            type: 'text',
+                            text: text
+                        },
+                        {
+                            type: 'image_url',
+                            image_url: { 
+                                url: imageData,
+                                detail: 'low'
+                            }
+                        }
+                    ]
+                }],
+                response_format: { type: "json_object" }
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+        }
+
+        const result = await response.json();
+        const content = result.choices[0].message.content;
+        
+        try {
+            const parsed = JSON.parse(content);
+            // Handle different response formats
+            const options = Array.isArray(parsed) ? parsed : (parsed.options || parsed.refinements || Object.values(parsed)[0]);
+            if (Array.isArray(options) && options.length > 0) {
+                return options.map(String);
+            }
+        } catch (e) {
+            // Fall through to the defaults below
+        }
+        console.error('Failed to parse options:', content);
+        return ["Add details", "Change style", "Add effects", "Modify colors"];
+    }
+    
+    showEditOptions(drawingManager, options, draggedStrokes, imageData) {
         const editOptions = document.getElementById('editOptions');
-        const editChips = document.getElementById('editChips');
         const dismissBtn = document.getElementById('dismissOptions');
+        const instructionInput = document.getElementById('editInstruction');
+        const applyBtn = document.getElementById('applyEdits');
         
-        // Clear existing chips
-        editChips.innerHTML = '';
+        instructionInput.value = '';
         
-        // Create chips for each option
-        options.forEach((option, index) => {
-            const chip = document.createElement('button');
-            chip.className = 'edit-chip';
-            chip.textContent = option;
-            chip.onclick = () => this.selectEditOption(drawingManager, option, draggedStrokes);
-            editChips.appendChild(chip);
-        });
+        // levels is the breadcrumb trail: the top-level options, then the refinements of
+        // each option drilled into. Chosen edits are kept across levels, in the order picked.
+        this.pendingEditOptions = {
+            drawingManager,
+            draggedStrokes,
+            imageData,
+            levels: [{ path: [], options: options }],
+            selected: new Set(),
+            loading: null
+        };
+        
+        const apply = () => {
+            if (!this.pendingEditOptions) return;
+            const instruction = instructionInput.value.trim();
+            const edits = [...this.pendingEditOptions.selected];
+            if (instruction) {
+                edits.push(instruction);
+            }
+            if (edits.length > 0) {
+                this.selectEditOptions(drawingManager, edits, draggedStrokes);
+            }
+        };
+        applyBtn.onclick = apply;
+        instructionInput.oninput = () => this.updateApplyButton();
+        instructionInput.onkeydown = (event) => {
+            if (event.key === 'Enter') {
+                apply();
+            }
+        };
+        
+        this.renderEditLevel();
+        
+        // Replace the image(s) or put the result beside them; starts from the settings default
+        this.editResultMode = this.settings.get('editResult');
+        this.renderResultToggle();
         
         // Show the options panel
         editOptions.classList.remove('edit-options-hidden');
@@ -568,115 +983,193 @@ Examples: ["Add hat", "Change color", "Add background", "Make cartoon"]`
         dismissBtn.onclick = () => {
             this.hideEditOptions();
         };
-        
-        // Store current state for later use
-        this.pendingEditOptions = { drawingManager, draggedStrokes };
-    }
-    
-    hideEditOptions() {
-        const editOptions = document.getElementById('editOptions');
-        editOptions.classList.remove('edit-options-visible');
-        editOptions.classList.add('edit-options-hidden');
-        this.pendingEditOptions = null;
     }
     
-    async selectEditOption(drawingManager, selectedOption, draggedStrokes) {
-        // Hide options panel
-        this.hideEditOptions();
+    // Chips of the innermost breadcrumb level; the chip toggles the edit and its arrow
+    // asks for more specific refinements
+    renderEditLevel() {
+        const state = this.pendingEditOptions;
+        const level = state.levels[state.levels.length - 1];
+        const editChips = document.getElementById('editChips');
         
-        // Find the image object to edit
-        const imageObj = draggedStrokes.find(stroke => stroke.type === 'image-object');
-        if (!imageObj) {
-            if (window.toastManager) {
-                window.toastManager.logError('No image found to edit');
-            }
+        this.renderBreadcrumb();
+        editChips.innerHTML = '';
+        
+        if (state.loading) {
+            const loading = document.createElement('span');
+            loading.className = 'edit-chips-loading';
+            loading.textContent = `Finding ways to "${state.loading.option}"...`;
+            editChips.appendChild(loading);
+            this.updateApplyButton();
             return;
         }
         
-        // Remove sketch strokes
-        const sketchStrokes = draggedStrokes.filter(stroke => stroke.type !== 'image-object');
-        sketchStrokes.forEach(stroke => {
-            const index = drawingManager.strokes.indexOf(stroke);
-            if (index > -1) {
-                drawingManager.strokes.splice(index, 1);
+        level.options.forEach(option => {
+            const label = this.getEditLabel([...level.path, option]);
+            const group = document.createElement('span');
+            group.className = 'edit-chip-group';
+            
+            const chip = document.createElement('button');
+            chip.className = 'edit-chip';
+            chip.classList.toggle('selected', state.selected.has(label));
+            chip.textContent = option;
+            chip.onclick = () => {
+                if (state.selected.has(label)) {
+                    state.selected.delete(label);
+                } else {
+                    state.selected.add(label);
+                }
+                chip.classList.toggle('selected', state.selected.has(label));
+                this.updateApplyButton();
+            };
+            group.appendChild(chip);
+            
+            if (state.levels.length < MAX_EDIT_OPTION_DEPTH) {
+                const refine = document.createElement('button');
+                refine.className = 'edit-chip-refine';
+                refine.textContent = '›';
+                refine.title = `More specific ways to "${option}"`;
+                refine.onclick = () => this.drillIntoOption(option);
+                group.appendChild(refine);
             }
+            
+            editChips.appendChild(group);
         });
+        this.updateApplyButton();
+    }
+    
+    renderBreadcrumb() {
+        const state = this.pendingEditOptions;
+        const breadcrumb = document.getElementById('editBreadcrumb');
+        breadcrumb.innerHTML = '';
         
-        // Set generating state
-        imageObj.isGenerating = true;
-        imageObj.currentFrame = 0;
-        drawingManager.redraw();
+        const crumbs = ['All edits', ...state.levels[state.levels.length - 1].path];
+        if (state.loading) {
+            crumbs.push(state.loading.option);
+        }
         
-        // Start animation loop
-        const animateGeneration = () => {
-            if (imageObj.isGenerating) {
-                drawingManager.redraw();
-                requestAnimationFrame(animateGeneration);
+        crumbs.forEach((crumb, index) => {
+            if (index > 0) {
+                breadcrumb.appendChild(document.createTextNode(' › '));
             }
-        };
-        animateGeneration();
+            const item = document.createElement('button');
+            item.className = 'edit-breadcrumb-item';
+            item.textContent = crumb;
+            item.disabled = index === crumbs.length - 1;
+            item.onclick = () => this.goToEditLevel(index);
+            breadcrumb.appendChild(item);
+        });
+        breadcrumb.hidden = crumbs.length === 1;
+    }
+    
+    async drillIntoOption(option) {
+        const state = this.pendingEditOptions;
+        const level = state.levels[state.levels.length - 1];
+        const path = [...level.path, option];
         
-        if (window.toastManager) {
-            window.toastManager.logInfo(`Applying: ${selectedOption}...`);
-        }
+        const controller = new AbortController();
+        state.loading = { option, controller };
+        this.renderEditLevel();
+        // The panel may be closed or moved to another level while this request runs
+        const isCurrent = () => this.pendingEditOptions === state && state.loading && state.loading.controller === controller;
         
         try {
-            // Convert image to blob for editing
-            const imageBlob = this.imageGenerator.base64ToBlob(imageObj.imageData);
-            
-            // Create enhanced prompt with selected option
-            const enhancedPrompt = `Apply this edit to the image: "${selectedOption}". The sketch lines were artistic guidance for this specific edit. Make the change while maintaining realistic, professional quality.`;
-            
-            // Log the edit option selection with prompt
-            if (window.toastManager) {
-                window.toastManager.logAIRequest(`Applying: ${selectedOption}...`, null, enhancedPrompt);
-            }
-            
-            await this.imageGenerator.editImage(
-                [imageBlob],
-                enhancedPrompt,
-                (partialBase64, frameIndex) => {
-                    // Not used for single image
-                },
-                (finalBase64) => {
-                    imageObj.imageData = finalBase64;
-                    imageObj.isGenerating = false;
-                    
-                    // Load the image to get its actual dimensions
-                    const img = new Image();
-                    img.onload = () => {
-                        // Calculate new dimensions maintaining aspect ratio
-                        const maxSize = 512;
-                        const aspectRatio = img.width / img.height;
-                        
-                        if (aspectRatio > 1) {
-                            // Landscape
-                            imageObj.width = maxSize;
-                            imageObj.height = maxSize / aspectRatio;
-                        } else {
-                            // Portrait or square
-                            imageObj.height = maxSize;
-                            imageObj.width = maxSize * aspectRatio;
-                        }
-                        
-                        drawingManager.undoManager.save();
-                        drawingManager.redraw();
-                        if (window.toastManager) {
-                            window.toastManager.logInfo('Image updated!');
-                        }
-                    };
-                    img.src = `data:image/png;base64,${finalBase64}`;
-                }
+            const options = await this.queue.add(
+                signal => this.generateSubOptions(state.imageData, path, signal),
+                { signal: controller.signal }
             );
+            if (!isCurrent()) return;
+            
+            state.loading = null;
+            state.levels.push({ path, options });
+            this.renderEditLevel();
         } catch (error) {
-            console.error('Image update failed:', error);
-            imageObj.isGenerating = false;
-            drawingManager.redraw();
+            if (error.name === 'AbortError') return;
+            console.error('Error generating refinements:', error);
+            if (isCurrent()) {
+                state.loading = null;
+                this.renderEditLevel();
+            }
             if (window.toastManager) {
-                            window.toastManager.logInfo('Image update failed');
+                window.toastManager.logError('Failed to load refinements', {
+                    error: error.message,
+                    actions: this.getRetryActions(() => {
+                        if (this.pendingEditOptions === state) {
+                            this.drillIntoOption(option);
                         }
+                    })
+                });
+            }
+        }
+    }
+    
+    // Back to a breadcrumb level (0 = top-level options); refinements already loaded are dropped
+    goToEditLevel(index) {
+        const state = this.pendingEditOptions;
+        this.cancelEditOptionsLoading();
+        state.levels.length = Math.min(index + 1, state.levels.length);
+        this.renderEditLevel();
+    }
+    
+    cancelEditOptionsLoading() {
+        const state = this.pendingEditOptions;
+        if (state && state.loading) {
+            state.loading.controller.abort();
+            state.loading = null;
         }
     }
+    
+    // "Change color > Warm palette" reads as one instruction in the edit prompt
+    getEditLabel(path) {
+        return path.join(' > ');
+    }
+    
+    updateApplyButton() {
+        const state = this.pendingEditOptions;
+        const instruction = document.getElementById('editInstruction').value.trim();
+        document.getElementById('applyEdits').disabled = !state || (state.selected.size === 0 && !instruction);
+    }
+    
+    renderResultToggle() {
+        document.querySelectorAll('#editResultToggle [data-result]').forEach(button => {
+            button.classList.toggle('active', button.dataset.result === this.editResultMode);
+            button.onclick = () => {
+                this.editResultMode = button.dataset.result;
+                this.renderResultToggle();
+            };
+        });
+    }
+    
+    hideEditOptions() {
+        this.cancelEditOptionsLoading();
+        const editOptions = document.getElementById('editOptions');
+        editOptions.classList.remove('edit-options-visible');
+        editOptions.classList.add('edit-options-hidden');
+        this.pendingEditOptions = null;
+    }
+    
+    // Apply one or more chosen edits (chips and/or the user's own instruction) as a single edit
+    async selectEditOptions(drawingManager, selectedOptions, draggedStrokes, resultMode = this.editResultMode) {
+        // Hide options panel
+        this.hideEditOptions();
+        
+        // Create enhanced prompt with the selected options
+        const imageCount = draggedStrokes.filter(stroke => stroke.type === 'image-object').length;
+        const target = imageCount > 1 ? `these ${imageCount} images, combining them into one` : 'the image';
+        const edits = selectedOptions.map(option => `"${option}"`).join(', ');
+        const instruction = selectedOptions.length > 1
+            ? `Apply all of these edits to ${target} together, as one change: ${edits}. The sketch lines were artistic guidance for these edits.`
+            : `Apply this edit to ${target}: ${edits}. The sketch lines were artistic guidance for this specific edit.`;
+        const enhancedPrompt = `${instruction} Make the change with professional quality, in this style: ${drawingManager.style.prompt}.`;
+        
+        await this.editImages(drawingManager, draggedStrokes, {
+            prompt: enhancedPrompt,
+            instruction: selectedOptions.join(' + '),
+            message: `Applying: ${selectedOptions.join(' + ')}...`,
+            resultMode: resultMode,
+            retry: () => this.selectEditOptions(drawingManager, selectedOptions, draggedStrokes, resultMode)
+        });
+    }
 }
 
 export { AIGenerator };
@@ -1,5 +1,15 @@
 import { CanvasManager } from './canvas.js';
 import { DrawingManager } from './draw.js';
+import { BoardStorage } from './boardStorage.js';
+import { BoardManager } from './boardManager.js';
+import { HistoryPanel } from './historyPanel.js';
+import { ImageVersionsPanel } from './imageVersionsPanel.js';
+import { Settings } from './settings.js';
+import { SettingsPanel } from './settingsPanel.js';
+import { StylePresets } from './stylePresets.js';
+import { StylePanel } from './stylePanel.js';
+import { TextEditor } from './textEditor.js';
+import { ToolPalette } from './toolPalette.js';
 
 // Main application initialization
 class DrawingPad {
@@ -9,10 +19,21 @@ class DrawingPad {
         this.clearButton = document.getElementById('clearButton');
         
         // Initialize managers
+        this.settings = new Settings();
         this.canvasManager = new CanvasManager(this.canvas, this.ctx);
-        this.drawingManager = new DrawingManager(this.canvas, this.ctx, this.canvasManager);
+        this.drawingManager = new DrawingManager(this.canvas, this.ctx, this.canvasManager, this.settings);
+        this.boardManager = new BoardManager(this.drawingManager, new BoardStorage());
+        this.historyPanel = new HistoryPanel(this.drawingManager);
+        this.imageVersionsPanel = new ImageVersionsPanel(this.drawingManager);
+        this.settingsPanel = new SettingsPanel(this.settings);
+        this.stylePanel = new StylePanel(this.drawingManager, new StylePresets());
+        this.textEditor = new TextEditor(this.drawingManager);
+        this.toolPalette = new ToolPalette(this.drawingManager, this.settings);
         
         this.setupEventListeners();
+        
+        // Reopen the last board
+        this.boardManager.init();
     }
     
     setupEventListeners() {
@@ -24,4 +45,4 @@ class DrawingPad {
 // Initialize the drawing pad when the page loads
 document.addEventListener('DOMContentLoaded', () => {
     new DrawingPad();
-});
\ No newline at end of file
+});
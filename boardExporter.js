@@ -0,0 +1,201 @@
+import { TEXT_FONT_FAMILY, TEXT_LINE_HEIGHT, TEXT_COLOR, drawText } from './textObjects.js';
+import { getStrokeStyle, getStrokeAlpha, getLineWidth, traceStroke } from './strokeStyle.js';
+
+// Export the board (or a selection) as PNG or SVG
+class BoardExporter {
+    constructor(padding = 20) {
+        this.padding = padding;
+    }
+
+    getBounds(strokes) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+        strokes.forEach(stroke => {
+            if (stroke.type === 'image-object' || stroke.type === 'text-object') {
+                minX = Math.min(minX, stroke.position.x - stroke.width / 2);
+                minY = Math.min(minY, stroke.position.y - stroke.height / 2);
+                maxX = Math.max(maxX, stroke.position.x + stroke.width / 2);
+                maxY = Math.max(maxY, stroke.position.y + stroke.height / 2);
+            } else if (stroke.points) {
+                stroke.points.forEach((point, i) => {
+                    const radius = this.getLineWidth(stroke, i) / 2;
+                    minX = Math.min(minX, point.x - radius);
+                    minY = Math.min(minY, point.y - radius);
+                    maxX = Math.max(maxX, point.x + radius);
+                    maxY = Math.max(maxY, point.y + radius);
+                });
+            }
+        });
+
+        return {
+            minX: minX - this.padding,
+            minY: minY - this.padding,
+            width: maxX - minX + this.padding * 2,
+            height: maxY - minY + this.padding * 2
+        };
+    }
+
+    getLineWidth(stroke, index) {
+        // Same width as the canvas
+        return getLineWidth(stroke, index);
+    }
+
+    // Images first (background layer), then strokes, then text on top - same as the canvas
+    orderForExport(strokes) {
+        return [
+            ...strokes.filter(stroke => stroke.type === 'image-object' && stroke.imageData),
+            ...strokes.filter(stroke => stroke.type !== 'image-object' && stroke.points && stroke.points.length > 0),
+            ...strokes.filter(stroke => stroke.type === 'text-object')
+        ];
+    }
+
+    async toPNG(strokes, { scale = 1, background = 'transparent' } = {}) {
+        const ordered = this.orderForExport(strokes);
+        const bounds = this.getBounds(ordered);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(bounds.width * scale);
+        canvas.height = Math.ceil(bounds.height * scale);
+        const ctx = canvas.getContext('2d');
+
+        if (background !== 'transparent') {
+            ctx.fillStyle = background;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+
+        ctx.scale(scale, scale);
+        ctx.translate(-bounds.minX, -bounds.minY);
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        // Load every image before drawing so layering is preserved
+        const images = await Promise.all(ordered.map(stroke =>
+            stroke.type === 'image-object' ? this.loadImage(stroke.imageData) : null
+        ));
+
+        ordered.forEach((stroke, index) => {
+            if (stroke.type === 'image-object') {
+                ctx.drawImage(
+                    images[index],
+                    stroke.position.x - stroke.width / 2,
+                    stroke.position.y - stroke.height / 2,
+                    stroke.width,
+                    stroke.height
+                );
+            } else if (stroke.type === 'text-object') {
+                drawText(ctx, stroke);
+            } else {
+                traceStroke(ctx, stroke);
+            }
+        });
+
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    }
+
+    loadImage(imageData) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Failed to load image for export'));
+            img.src = `data:image/png;base64,${imageData}`;
+        });
+    }
+
+    toSVG(strokes, { background = 'transparent' } = {}) {
+        const ordered = this.orderForExport(strokes);
+        const bounds = this.getBounds(ordered);
+        const round = (value) => Math.round(value * 100) / 100;
+
+        const elements = [];
+
+        if (background !== 'transparent') {
+            elements.push(`<rect x="${round(bounds.minX)}" y="${round(bounds.minY)}" width="${round(bounds.width)}" height="${round(bounds.height)}" fill="${background}"/>`);
+        }
+
+        ordered.forEach(stroke => {
+            if (stroke.type === 'image-object') {
+                elements.push(`<image x="${round(stroke.position.x - stroke.width / 2)}" y="${round(stroke.position.y - stroke.height / 2)}" width="${round(stroke.width)}" height="${round(stroke.height)}" preserveAspectRatio="none" href="data:image/png;base64,${stroke.imageData}"/>`);
+            } else if (stroke.type === 'text-object') {
+                elements.push(this.getTextElement(stroke, round));
+            } else {
+                elements.push(this.getStrokeElement(stroke, round));
+            }
+        });
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${round(bounds.width)}" height="${round(bounds.height)}" viewBox="${round(bounds.minX)} ${round(bounds.minY)} ${round(bounds.width)} ${round(bounds.height)}">`,
+            ...elements.map(element => `  ${element}`),
+            '</svg>'
+        ].join('\n');
+    }
+
+    // One <tspan> per line, laid out like drawText on the canvas
+    getTextElement(stroke, round) {
+        const left = round(stroke.position.x - stroke.width / 2);
+        const top = stroke.position.y - stroke.height / 2;
+        const lineHeight = stroke.fontSize * TEXT_LINE_HEIGHT;
+        const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const lines = stroke.text.split('\n').map((line, i) =>
+            `<tspan x="${left}" y="${round(top + lineHeight * (i + 0.5))}">${escape(line)}</tspan>`
+        );
+        return `<text font-family="${TEXT_FONT_FAMILY}" font-size="${round(stroke.fontSize)}" fill="${TEXT_COLOR}" dominant-baseline="middle" xml:space="preserve">${lines.join('')}</text>`;
+    }
+
+    // The stroke's outline filled with its color; a highlighter multiplies like on the canvas
+    getStrokeElement(stroke, round) {
+        const style = getStrokeStyle(stroke);
+        const alpha = getStrokeAlpha(stroke);
+        const opacity = alpha < 1 ? ` fill-opacity="${round(alpha)}"` : '';
+        const blend = style.brush === 'highlighter' ? ' style="mix-blend-mode:multiply"' : '';
+        return `<path d="${this.getOutlinePath(stroke, round)}" fill="${style.color}"${opacity}${blend}/>`;
+    }
+
+    // Turn a pressure-varying stroke into a filled outline: the left edge forward,
+    // a round cap, the right edge backward and a round cap back to the start
+    getOutlinePath(stroke, round) {
+        const samples = [];
+        stroke.points.forEach((point, i) => {
+            const previous = samples[samples.length - 1];
+            if (!previous || previous.x !== point.x || previous.y !== point.y) {
+                samples.push({ x: point.x, y: point.y, radius: this.getLineWidth(stroke, i) / 2 });
+            }
+        });
+
+        if (samples.length === 1) {
+            const { x, y, radius } = samples[0];
+            return `M ${round(x - radius)} ${round(y)} A ${round(radius)} ${round(radius)} 0 1 0 ${round(x + radius)} ${round(y)} A ${round(radius)} ${round(radius)} 0 1 0 ${round(x - radius)} ${round(y)} Z`;
+        }
+
+        const left = [];
+        const right = [];
+        samples.forEach((sample, i) => {
+            // Tangent averaged over the neighbouring segments
+            const before = samples[Math.max(0, i - 1)];
+            const after = samples[Math.min(samples.length - 1, i + 1)];
+            const tx = after.x - before.x;
+            const ty = after.y - before.y;
+            const length = Math.sqrt(tx * tx + ty * ty) || 1;
+            const nx = -ty / length;
+            const ny = tx / length;
+
+            left.push({ x: sample.x + nx * sample.radius, y: sample.y + ny * sample.radius });
+            right.push({ x: sample.x - nx * sample.radius, y: sample.y - ny * sample.radius });
+        });
+
+        const startRadius = round(samples[0].radius);
+        const endRadius = round(samples[samples.length - 1].radius);
+        const line = (points) => points.map(p => `L ${round(p.x)} ${round(p.y)}`).join(' ');
+        const lastRight = right[right.length - 1];
+
+        return [
+            `M ${round(left[0].x)} ${round(left[0].y)}`,
+            line(left.slice(1)),
+            `A ${endRadius} ${endRadius} 0 0 0 ${round(lastRight.x)} ${round(lastRight.y)}`,
+            line(right.slice(0, -1).reverse()),
+            `A ${startRadius} ${startRadius} 0 0 0 ${round(left[0].x)} ${round(left[0].y)}`,
+            'Z'
+        ].join(' ');
+    }
+}
+
+export { BoardExporter };
@@ -0,0 +1,249 @@
+import { DEFAULT_STYLE } from './stylePresets.js';
+import { measureText } from './textObjects.js';
+import { DEFAULT_STROKE_STYLE, getStrokeStyle } from './strokeStyle.js';
+
+// Versioned JSON document format for boards
+//
+// Version 1:
+// {
+//   "format": "drawing-pad-board",
+//   "version": 1,
+//   "name": "Board 1",
+//   "exportedAt": "2026-01-01T00:00:00.000Z",
+//   "view": { "scale": 1, "translateX": 0, "translateY": 0 },
+//   "style": { "id": "photoreal", "name": "Photoreal", "prompt": "photorealistic, ..." },
+//   "strokes": [
+//     { "type": "pen", "points": [{ "x": 0, "y": 0 }], "pressures": [0.5], "tilts": [{ "x": 0, "y": 0 }],
+//       "color": "#000000", "widthScale": 1, "opacity": 1, "brush": "pen" },
+//     { "type": "image-object", "position": { "x": 0, "y": 0 }, "width": 512, "height": 512, "imageData": "<base64 PNG>",
+//       "variants": ["<base64 PNG>"],
+//       "versions": [{ "imageData": "<base64 PNG>", "width": 512, "height": 512, "prompt": "...",
+//                      "instruction": "Add hat", "sketch": "<PNG data URL>", "createdAt": 0 }] },
+//     { "type": "text-object", "text": "A red kite", "position": { "x": 0, "y": 0 }, "fontSize": 32, "width": 160, "height": 40 }
+//   ]
+// }
+//
+// An image's variants are the generated alternatives the user did not keep; its
+// versions are every picture it has shown, oldest first (see imageVersions.js).
+// A text object's box follows from its text and font size (see textObjects.js).
+// A pen stroke's brush is "pen" or "highlighter" (see strokeStyle.js).
+// The style is a full copy of the board's style preset (see stylePresets.js), so a
+// board using a custom preset renders the same on a device that does not have it.
+// Coordinates are world-space. Older documents are upgraded one version at a
+// time by the MIGRATIONS table before being validated.
+
+const BOARD_FORMAT = 'drawing-pad-board';
+const BOARD_FORMAT_VERSION = 1;
+
+// MIGRATIONS[n] upgrades a version n document to version n + 1
+const MIGRATIONS = {
+    // Version 0: a bare strokes array, as dumped with JSON.stringify(drawingManager.strokes).
+    // Its prompts were always photorealistic and its strokes black pens; the parser fills in
+    // the defaults for everything else such a dump lacks.
+    0: (strokes) => ({
+        format: BOARD_FORMAT,
+        version: 1,
+        view: { scale: 1, translateX: 0, translateY: 0 },
+        style: { ...DEFAULT_STYLE },
+        strokes: strokes.map(stroke => Array.isArray(stroke.points) ? { ...stroke, ...DEFAULT_STROKE_STYLE } : stroke)
+    })
+};
+
+function serializeBoard({ name, strokes, view, style }) {
+    return {
+        format: BOARD_FORMAT,
+        version: BOARD_FORMAT_VERSION,
+        name: name,
+        exportedAt: new Date().toISOString(),
+        view: view,
+        style: { id: style.id, name: style.name, prompt: style.prompt },
+        strokes: strokes.map(serializeStroke)
+    };
+}
+
+function serializeStroke(stroke) {
+    if (stroke.type === 'image-object') {
+        return {
+            type: 'image-object',
+            position: { x: stroke.position.x, y: stroke.position.y },
+            width: stroke.width,
+            height: stroke.height,
+            imageData: stroke.imageData,
+            variants: stroke.variants || [],
+            versions: stroke.versions || []
+        };
+    }
+
+    if (stroke.type === 'text-object') {
+        return {
+            type: 'text-object',
+            text: stroke.text,
+            position: { x: stroke.position.x, y: stroke.position.y },
+            fontSize: stroke.fontSize,
+            width: stroke.width,
+            height: stroke.height
+        };
+    }
+
+    return {
+        type: stroke.type,
+        points: stroke.points.map(point => ({ x: point.x, y: point.y })),
+        pressures: stroke.pressures,
+        tilts: stroke.tilts,
+        ...getStrokeStyle(stroke)
+    };
+}
+
+function getDocumentVersion(doc) {
+    if (Array.isArray(doc)) return 0;
+    if (doc && doc.format === BOARD_FORMAT && Number.isInteger(doc.version)) return doc.version;
+    throw new Error('Not a drawing pad board file');
+}
+
+function migrateBoard(doc) {
+    let version = getDocumentVersion(doc);
+
+    if (version > BOARD_FORMAT_VERSION) {
+        throw new Error(`Board file version ${version} is newer than this app supports (${BOARD_FORMAT_VERSION})`);
+    }
+
+    while (version < BOARD_FORMAT_VERSION) {
+        doc = MIGRATIONS[version](doc);
+        version = getDocumentVersion(doc);
+    }
+
+    return doc;
+}
+
+// Parse, migrate and validate a board document; returns { name, view, style, strokes }
+function parseBoard(json) {
+    const doc = migrateBoard(typeof json === 'string' ? JSON.parse(json) : json);
+
+    if (!Array.isArray(doc.strokes)) {
+        throw new Error('Board file has no strokes');
+    }
+
+    const strokes = doc.strokes.map((stroke, index) => {
+        if (stroke.type === 'image-object') {
+            if (!isPoint(stroke.position) || typeof stroke.imageData !== 'string') {
+                throw new Error(`Image ${index} is missing its position or image data`);
+            }
+            return {
+                type: 'image-object',
+                position: { x: stroke.position.x, y: stroke.position.y },
+                width: isPositive(stroke.width) ? stroke.width : 512,
+                height: isPositive(stroke.height) ? stroke.height : 512,
+                imageData: stroke.imageData,
+                variants: Array.isArray(stroke.variants) ? stroke.variants.filter(variant => typeof variant === 'string') : [],
+                versions: parseVersions(stroke.versions),
+                selected: false
+            };
+        }
+
+        if (stroke.type === 'text-object') {
+            if (!isPoint(stroke.position) || typeof stroke.text !== 'string') {
+                throw new Error(`Text ${index} is missing its position or text`);
+            }
+            const fontSize = isPositive(stroke.fontSize) ? stroke.fontSize : 32;
+            // The box is measured again when the file does not have it
+            const size = isPositive(stroke.width) && isPositive(stroke.height)
+                ? { width: stroke.width, height: stroke.height }
+                : measureText(stroke.text, fontSize);
+            return {
+                type: 'text-object',
+                text: stroke.text,
+                position: { x: stroke.position.x, y: stroke.position.y },
+                fontSize: fontSize,
+                width: size.width,
+                height: size.height,
+                selected: false
+            };
+        }
+
+        if (!Array.isArray(stroke.points)) {
+            throw new Error(`Stroke ${index} has no points`);
+        }
+        if (!stroke.points.every(isPoint)) {
+            throw new Error(`Stroke ${index} has a point that is not a number`);
+        }
+
+        // Older dumps may lack pressure or tilt samples
+        return {
+            type: stroke.type || 'pen',
+            points: stroke.points.map(point => ({ x: point.x, y: point.y })),
+            pressures: stroke.pressures || stroke.points.map(() => 0.5),
+            tilts: stroke.tilts || stroke.points.map(() => ({ x: 0, y: 0 })),
+            ...parseStrokeStyle(stroke),
+            selected: false
+        };
+    });
+
+    return {
+        name: doc.name,
+        view: parseView(doc.view),
+        style: parseStyle(doc.style),
+        strokes: strokes
+    };
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isPositive(value) {
+    return isFiniteNumber(value) && value > 0;
+}
+
+function isPoint(point) {
+    return Boolean(point) && isFiniteNumber(point.x) && isFiniteNumber(point.y);
+}
+
+// A zero, negative or non-numeric scale would break the canvas transform; such a view
+// falls back to the default (CanvasManager.setView keeps the scale within its zoom range)
+function parseView(view) {
+    if (!view || !isPositive(view.scale) || !isFiniteNumber(view.translateX) || !isFiniteNumber(view.translateY)) {
+        return { scale: 1, translateX: 0, translateY: 0 };
+    }
+    return { scale: view.scale, translateX: view.translateX, translateY: view.translateY };
+}
+
+function parseVersions(versions) {
+    if (!Array.isArray(versions)) return [];
+
+    return versions
+        .filter(version => version && typeof version.imageData === 'string')
+        .map(version => ({
+            imageData: version.imageData,
+            width: isPositive(version.width) ? version.width : 512,
+            height: isPositive(version.height) ? version.height : 512,
+            prompt: version.prompt || null,
+            instruction: version.instruction || null,
+            sketch: version.sketch || null,
+            createdAt: version.createdAt || null
+        }));
+}
+
+// Anything unusable falls back to the default; colors end up in exported SVG, so only
+// plain hex colors are kept
+function parseStrokeStyle(stroke) {
+    const style = getStrokeStyle(stroke);
+    return {
+        color: /^#[0-9a-f]{6}$/i.test(style.color) ? style.color : DEFAULT_STROKE_STYLE.color,
+        widthScale: typeof style.widthScale === 'number' && style.widthScale > 0 ? style.widthScale : DEFAULT_STROKE_STYLE.widthScale,
+        opacity: typeof style.opacity === 'number' && style.opacity > 0 && style.opacity <= 1 ? style.opacity : DEFAULT_STROKE_STYLE.opacity,
+        brush: style.brush === 'highlighter' ? 'highlighter' : 'pen'
+    };
+}
+
+function parseStyle(style) {
+    if (!style || typeof style.prompt !== 'string') {
+        return { ...DEFAULT_STYLE };
+    }
+    return {
+        id: style.id || 'board-style',
+        name: style.name || 'Board style',
+        prompt: style.prompt
+    };
+}
+
+export { BOARD_FORMAT, BOARD_FORMAT_VERSION, serializeBoard, serializeStroke, parseBoard, migrateBoard };
@@ -0,0 +1,355 @@
+import { serializeBoard, parseBoard } from './boardFormat.js';
+import { BoardExporter } from './boardExporter.js';
+
+// Board list, autosave, restore-on-load, JSON export/import and PNG/SVG export
+class BoardManager {
+    constructor(drawingManager, storage) {
+        this.drawingManager = drawingManager;
+        this.canvasManager = drawingManager.canvasManager;
+        this.storage = storage;
+
+        this.currentBoard = null;
+        this.autosaveDelay = 500;
+        this.autosaveTimer = null;
+        this.isLoading = false;
+        this.exporter = new BoardExporter();
+
+        // Panel elements
+        this.panel = document.getElementById('boardPanel');
+        this.boardList = document.getElementById('boardList');
+        this.importInput = document.getElementById('importBoardInput');
+        this.exportScale = document.getElementById('exportScale');
+        this.exportTransparent = document.getElementById('exportTransparent');
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('boardsButton').addEventListener('click', () => this.togglePanel());
+        document.getElementById('dismissBoards').addEventListener('click', () => this.hidePanel());
+        document.getElementById('newBoardButton').addEventListener('click', () => this.createBoard());
+        document.getElementById('exportBoardButton').addEventListener('click', () => this.exportBoard());
+        document.getElementById('importBoardButton').addEventListener('click', () => this.importInput.click());
+        document.getElementById('exportPngButton').addEventListener('click', () => this.exportImage('png'));
+        document.getElementById('exportSvgButton').addEventListener('click', () => this.exportImage('svg'));
+        this.importInput.addEventListener('change', () => {
+            const file = this.importInput.files[0];
+            this.importInput.value = '';
+            if (file) {
+                this.importBoard(file);
+            }
+        });
+
+        // Autosave after every change to the strokes
+        this.drawingManager.onStrokesChange = () => this.scheduleAutosave();
+
+        // Flush pending saves when the page is backgrounded (iPad may discard it)
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.flushAutosave();
+            }
+        });
+    }
+
+    async init() {
+        try {
+            const lastBoardId = this.storage.getLastBoardId();
+            const board = lastBoardId ? await this.storage.loadBoard(lastBoardId) : null;
+
+            if (board) {
+                this.applyBoard(board);
+            } else {
+                const boards = await this.storage.listBoards();
+                if (boards.length > 0) {
+                    await this.openBoard(boards[0].id);
+                } else {
+                    await this.createBoard();
+                }
+            }
+        } catch (error) {
+            console.error('Failed to restore board:', error);
+            if (window.toastManager) {
+                window.toastManager.logError('Could not restore saved boards', { error: error.message });
+            }
+        }
+    }
+
+    async createBoard(contents = {}) {
+        await this.flushAutosave();
+
+        const boards = await this.storage.listBoards();
+        const now = Date.now();
+        const board = {
+            id: `board-${now}-${Math.random().toString(36).slice(2, 8)}`,
+            name: contents.name || `Board ${boards.length + 1}`,
+            createdAt: now,
+            updatedAt: now,
+            strokes: contents.strokes || [],
+            view: contents.view || { scale: 1, translateX: 0, translateY: 0 },
+            // New boards keep the style currently in use
+            style: contents.style || this.drawingManager.style
+        };
+
+        const doc = serializeBoard(board);
+        await this.storage.saveBoard(this.getMeta(board), doc);
+        this.applyBoard({ ...doc, ...this.getMeta(board) });
+        this.renderBoardList();
+        return board;
+    }
+
+    async openBoard(id) {
+        if (this.currentBoard && this.currentBoard.id === id) return;
+
+        await this.flushAutosave();
+
+        const board = await this.storage.loadBoard(id);
+        if (!board) {
+            if (window.toastManager) {
+                window.toastManager.logError('Board not found');
+            }
+            return;
+        }
+
+        this.applyBoard(board);
+        this.renderBoardList();
+    }
+
+    applyBoard(board) {
+        // Boards saved before the document format existed hold a bare strokes array
+        const { strokes, view, style } = parseBoard(board.format ? board : (board.strokes || []));
+
+        this.currentBoard = this.getMeta(board);
+        this.storage.setLastBoardId(board.id);
+
+        // Loading resets the undo history, which must not trigger a save
+        this.isLoading = true;
+        this.canvasManager.setView(board.view || view);
+        this.drawingManager.loadStrokes(strokes);
+        this.drawingManager.setStyle(style);
+        this.isLoading = false;
+    }
+
+    async renameBoard(id, name) {
+        await this.storage.renameBoard(id, name);
+        if (this.currentBoard && this.currentBoard.id === id) {
+            this.currentBoard.name = name;
+        }
+        this.renderBoardList();
+    }
+
+    async deleteBoard(id) {
+        await this.storage.deleteBoard(id);
+
+        if (this.currentBoard && this.currentBoard.id === id) {
+            // Cancel any pending save for the deleted board
+            clearTimeout(this.autosaveTimer);
+            this.autosaveTimer = null;
+            this.currentBoard = null;
+
+            const boards = await this.storage.listBoards();
+            if (boards.length > 0) {
+                await this.openBoard(boards[0].id);
+            } else {
+                await this.createBoard();
+            }
+        }
+        this.renderBoardList();
+    }
+
+    scheduleAutosave() {
+        if (this.isLoading || !this.currentBoard) return;
+
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = setTimeout(() => this.save(), this.autosaveDelay);
+    }
+
+    async flushAutosave() {
+        if (this.autosaveTimer) {
+            clearTimeout(this.autosaveTimer);
+            await this.save();
+        }
+    }
+
+    async save() {
+        this.autosaveTimer = null;
+        if (!this.currentBoard) return;
+
+        this.currentBoard.updatedAt = Date.now();
+        try {
+            await this.storage.saveBoard({ ...this.currentBoard }, this.serializeCurrentBoard());
+        } catch (error) {
+            console.error('Autosave failed:', error);
+            if (window.toastManager) {
+                window.toastManager.logError('Autosave failed', { error: error.message });
+            }
+        }
+    }
+
+    serializeCurrentBoard() {
+        return serializeBoard({
+            name: this.currentBoard.name,
+            strokes: this.drawingManager.getSerializableStrokes(),
+            view: this.canvasManager.getView(),
+            style: this.drawingManager.style
+        });
+    }
+
+    exportBoard() {
+        if (!this.currentBoard) return;
+
+        const json = JSON.stringify(this.serializeCurrentBoard(), null, 2);
+        this.downloadFile(new Blob([json], { type: 'application/json' }), `${this.currentBoard.name}.json`);
+
+        if (window.toastManager) {
+            window.toastManager.logSuccess(`Exported "${this.currentBoard.name}"`);
+        }
+    }
+
+    async importBoard(file) {
+        try {
+            const { name, strokes, view, style } = parseBoard(await file.text());
+            await this.createBoard({
+                name: name || file.name.replace(/\.json$/i, ''),
+                strokes,
+                view,
+                style
+            });
+
+            if (window.toastManager) {
+                window.toastManager.logSuccess(`Imported "${this.currentBoard.name}"`);
+            }
+        } catch (error) {
+            console.error('Board import failed:', error);
+            if (window.toastManager) {
+                window.toastManager.logError('Board import failed', { error: error.message });
+            }
+        }
+    }
+
+    async exportImage(format) {
+        if (!this.currentBoard) return;
+
+        // Export the current selection, or the whole board when nothing is selected
+        const strokes = this.drawingManager.getExportableStrokes();
+        const selected = strokes.filter(stroke => stroke.selected);
+        const target = selected.length > 0 ? selected : strokes;
+
+        if (target.length === 0) {
+            if (window.toastManager) {
+                window.toastManager.logError('Nothing to export');
+            }
+            return;
+        }
+
+        const background = this.exportTransparent.checked ? 'transparent' : '#FFFFFF';
+        const suffix = selected.length > 0 ? ' (selection)' : '';
+
+        try {
+            if (format === 'svg') {
+                const svg = this.exporter.toSVG(target, { background });
+                this.downloadFile(new Blob([svg], { type: 'image/svg+xml' }), `${this.currentBoard.name}${suffix}.svg`);
+            } else {
+                const scale = Number(this.exportScale.value) || 1;
+                const png = await this.exporter.toPNG(target, { scale, background });
+                this.downloadFile(png, `${this.currentBoard.name}${suffix}.png`);
+            }
+
+            if (window.toastManager) {
+                window.toastManager.logSuccess(`Exported ${target.length} item(s) as ${format.toUpperCase()}`);
+            }
+        } catch (error) {
+            console.error('Image export failed:', error);
+            if (window.toastManager) {
+                window.toastManager.logError('Image export failed', { error: error.message });
+            }
+        }
+    }
+
+    downloadFile(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    getMeta(board) {
+        return {
+            id: board.id,
+            name: board.name,
+            createdAt: board.createdAt,
+            updatedAt: board.updatedAt
+        };
+    }
+
+    togglePanel() {
+        if (this.panel.classList.contains('panel-visible')) {
+            this.hidePanel();
+        } else {
+            this.showPanel();
+        }
+    }
+
+    async showPanel() {
+        await this.renderBoardList();
+        this.panel.classList.remove('panel-hidden');
+        this.panel.classList.add('panel-visible');
+    }
+
+    hidePanel() {
+        this.panel.classList.remove('panel-visible');
+        this.panel.classList.add('panel-hidden');
+    }
+
+    async renderBoardList() {
+        const boards = await this.storage.listBoards();
+        this.boardList.innerHTML = '';
+
+        boards.forEach(board => {
+            const item = document.createElement('div');
+            item.className = 'board-item';
+            if (this.currentBoard && board.id === this.currentBoard.id) {
+                item.classList.add('current');
+            }
+
+            const name = document.createElement('button');
+            name.className = 'board-name';
+            name.textContent = board.name;
+            name.onclick = () => this.openBoard(board.id);
+
+            const date = document.createElement('span');
+            date.className = 'board-date';
+            date.textContent = new Date(board.updatedAt).toLocaleString();
+
+            const rename = document.createElement('button');
+            rename.className = 'board-action';
+            rename.textContent = 'Rename';
+            rename.onclick = () => {
+                const newName = window.prompt('Board name', board.name);
+                if (newName && newName.trim()) {
+                    this.renameBoard(board.id, newName.trim());
+                }
+            };
+
+            const remove = document.createElement('button');
+            remove.className = 'board-action delete';
+            remove.textContent = 'Delete';
+            remove.onclick = () => {
+                if (window.confirm(`Delete "${board.name}"?`)) {
+                    this.deleteBoard(board.id);
+                }
+            };
+
+            item.appendChild(name);
+            item.appendChild(date);
+            item.appendChild(rename);
+            item.appendChild(remove);
+            this.boardList.appendChild(item);
+        });
+    }
+}
+
+export { BoardManager };
@@ -0,0 +1,108 @@
+// IndexedDB persistence for boards
+// Board metadata and board contents live in separate stores so listing boards
+// never has to load the (potentially large) base64 image data.
+class BoardStorage {
+    constructor(dbName = 'drawing-pad') {
+        this.dbName = dbName;
+        this.dbVersion = 1;
+        this.db = null;
+        this.lastBoardKey = 'drawingPad.lastBoardId';
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('boards')) {
+                    db.createObjectStore('boards', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('boardData')) {
+                    db.createObjectStore('boardData', { keyPath: 'id' });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+            work(tx, (value) => { result = value; });
+        });
+    }
+
+    listBoards() {
+        return this.transaction(['boards'], 'readonly', (tx, setResult) => {
+            const request = tx.objectStore('boards').getAll();
+            request.onsuccess = () => {
+                // Most recently edited first
+                setResult(request.result.sort((a, b) => b.updatedAt - a.updatedAt));
+            };
+        });
+    }
+
+    loadBoard(id) {
+        return this.transaction(['boards', 'boardData'], 'readonly', (tx, setResult) => {
+            const metaRequest = tx.objectStore('boards').get(id);
+            const dataRequest = tx.objectStore('boardData').get(id);
+            dataRequest.onsuccess = () => {
+                if (!metaRequest.result || !dataRequest.result) {
+                    setResult(null);
+                    return;
+                }
+                // Metadata wins over fields stored in the board document
+                setResult({ ...dataRequest.result, ...metaRequest.result });
+            };
+        });
+    }
+
+    saveBoard(meta, data) {
+        return this.transaction(['boards', 'boardData'], 'readwrite', (tx) => {
+            tx.objectStore('boards').put(meta);
+            tx.objectStore('boardData').put({ id: meta.id, ...data });
+        });
+    }
+
+    renameBoard(id, name) {
+        return this.transaction(['boards'], 'readwrite', (tx) => {
+            const store = tx.objectStore('boards');
+            const request = store.get(id);
+            request.onsuccess = () => {
+                if (request.result) {
+                    store.put({ ...request.result, name });
+                }
+            };
+        });
+    }
+
+    deleteBoard(id) {
+        return this.transaction(['boards', 'boardData'], 'readwrite', (tx) => {
+            tx.objectStore('boards').delete(id);
+            tx.objectStore('boardData').delete(id);
+        });
+    }
+
+    getLastBoardId() {
+        return localStorage.getItem(this.lastBoardKey);
+    }
+
+    setLastBoardId(id) {
+        localStorage.setItem(this.lastBoardKey, id);
+    }
+}
+
+export { BoardStorage };
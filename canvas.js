@@ -3,10 +3,16 @@ class CanvasManager {
         this.canvas = canvas;
         this.ctx = ctx;
         
-        // Canvas transformation
+        // Canvas transformation (screen = world * scale + translate)
         this.scale = 1;
         this.translateX = 0;
         this.translateY = 0;
+        this.minScale = 0.1;
+        this.maxScale = 8;
+        
+        // Two-finger pan/zoom gesture state
+        this.viewGesture = null;
+        this.viewGestureMoved = false;
         
         this.setupCanvas();
         this.setupEventListeners();
@@ -16,15 +22,6 @@ class CanvasManager {
         // Set canvas size to match viewport
         this.resizeCanvas();
         
-        // Configure drawing context
-        this.ctx.lineCap = 'round';
-        this.ctx.lineJoin = 'round';
-        this.ctx.strokeStyle = '#000000';
-        this.ctx.fillStyle = '#000000';
-        
-        // Draw initial dot pattern
-        this.drawDotPattern();
-        
         // Handle window resize
         window.addEventListener('resize', () => this.resizeCanvas());
         window.addEventListener('orientationchange', () => {
@@ -32,12 +29,26 @@ class CanvasManager {
         });
     }
     
+    configureContext() {
+        // Configure drawing context (resizing the canvas resets it)
+        this.ctx.lineCap = 'round';
+        this.ctx.lineJoin = 'round';
+        this.ctx.strokeStyle = '#000000';
+        this.ctx.fillStyle = '#000000';
+    }
+    
     resizeCanvas() {
         const rect = this.canvas.getBoundingClientRect();
         this.canvas.width = rect.width;
         this.canvas.height = rect.height;
-        // Redraw dots after resize
-        this.drawDotPattern();
+        this.configureContext();
+        
+        // Redraw everything after resize, or just the dots if nobody is listening yet
+        if (this.onViewChange) {
+            this.onViewChange();
+        } else {
+            this.redraw();
+        }
     }
     
     setupEventListeners() {
@@ -46,15 +57,36 @@ class CanvasManager {
             e.preventDefault();
             this.handleTouchEnd(e);
         });
+        
+        // Trackpad / mouse wheel: pinch (ctrl+wheel) zooms, scrolling pans
+        this.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const screenPoint = this.getScreenPointFromEvent(e);
+            if (e.ctrlKey) {
+                this.zoomAt(screenPoint, Math.exp(-e.deltaY * 0.01));
+            } else {
+                this.panBy(-e.deltaX, -e.deltaY);
+            }
+        }, { passive: false });
     }
     
     handleTouchEnd(e) {
-        if (e.changedTouches.length === 2) {
+        if (e.changedTouches.length === 2 && !this.viewGestureMoved) {
             // Two-finger tap for undo
             if (this.onUndo) {
                 this.onUndo();
                 this.showToast('Undo');
             }
+        } else if (e.changedTouches.length === 3 && !this.viewGestureMoved) {
+            // Three-finger tap for redo
+            if (this.onRedo) {
+                this.onRedo();
+                this.showToast('Redo');
+            }
+        }
+        
+        if (e.touches.length === 0) {
+            this.viewGestureMoved = false;
         }
     }
     
@@ -67,7 +99,7 @@ class CanvasManager {
         }
     }
     
-    getPointFromEvent(event) {
+    getScreenPointFromEvent(event) {
         const rect = this.canvas.getBoundingClientRect();
         return {
             x: event.clientX - rect.left,
@@ -75,9 +107,140 @@ class CanvasManager {
         };
     }
     
+    // Returns the event position in world space
+    getPointFromEvent(event) {
+        return this.screenToWorld(this.getScreenPointFromEvent(event));
+    }
+    
+    screenToWorld(point) {
+        return {
+            x: (point.x - this.translateX) / this.scale,
+            y: (point.y - this.translateY) / this.scale
+        };
+    }
+    
+    worldToScreen(point) {
+        return {
+            x: point.x * this.scale + this.translateX,
+            y: point.y * this.scale + this.translateY
+        };
+    }
+    
+    getViewCenter() {
+        return this.screenToWorld({
+            x: this.canvas.width / 2,
+            y: this.canvas.height / 2
+        });
+    }
+    
+    getVisibleWorldBounds() {
+        const topLeft = this.screenToWorld({ x: 0, y: 0 });
+        const bottomRight = this.screenToWorld({ x: this.canvas.width, y: this.canvas.height });
+        return {
+            minX: topLeft.x,
+            minY: topLeft.y,
+            maxX: bottomRight.x,
+            maxY: bottomRight.y
+        };
+    }
+    
+    panBy(dx, dy) {
+        this.translateX += dx;
+        this.translateY += dy;
+        this.notifyViewChange();
+    }
+    
+    zoomAt(screenPoint, factor) {
+        // Keep the world point under screenPoint fixed while zooming
+        const worldPoint = this.screenToWorld(screenPoint);
+        this.scale = Math.max(this.minScale, Math.min(this.maxScale, this.scale * factor));
+        this.translateX = screenPoint.x - worldPoint.x * this.scale;
+        this.translateY = screenPoint.y - worldPoint.y * this.scale;
+        this.notifyViewChange();
+    }
+    
+    setView(view) {
+        this.scale = Math.max(this.minScale, Math.min(this.maxScale, view.scale));
+        this.translateX = view.translateX;
+        this.translateY = view.translateY;
+        this.notifyViewChange();
+    }
+    
+    getView() {
+        return {
+            scale: this.scale,
+            translateX: this.translateX,
+            translateY: this.translateY
+        };
+    }
+    
+    notifyViewChange() {
+        if (this.onViewChange) {
+            this.onViewChange();
+        } else {
+            this.redraw();
+        }
+    }
+    
+    // Two-finger pan and pinch on empty space
+    startViewGesture(touches) {
+        const { center, distance } = this.getTouchGeometry(touches);
+        this.viewGesture = {
+            center,
+            distance,
+            worldCenter: this.screenToWorld(center),
+            startScale: this.scale
+        };
+    }
+    
+    updateViewGesture(touches) {
+        if (!this.viewGesture) return;
+        
+        const { center, distance } = this.getTouchGeometry(touches);
+        const gesture = this.viewGesture;
+        
+        const moved = Math.abs(center.x - gesture.center.x) + Math.abs(center.y - gesture.center.y);
+        if (moved > 10 || Math.abs(distance - gesture.distance) > 10) {
+            this.viewGestureMoved = true;
+        }
+        if (!this.viewGestureMoved) return;
+        
+        // Scale by pinch ratio and keep the world point under the fingers' midpoint
+        const factor = gesture.distance > 0 ? distance / gesture.distance : 1;
+        this.scale = Math.max(this.minScale, Math.min(this.maxScale, gesture.startScale * factor));
+        this.translateX = center.x - gesture.worldCenter.x * this.scale;
+        this.translateY = center.y - gesture.worldCenter.y * this.scale;
+        this.notifyViewChange();
+    }
+    
+    endViewGesture() {
+        this.viewGesture = null;
+    }
+    
+    isViewGestureActive() {
+        return this.viewGesture !== null;
+    }
+    
+    getTouchGeometry(touches) {
+        const p1 = this.getScreenPointFromEvent(touches[0]);
+        const p2 = this.getScreenPointFromEvent(touches[1]);
+        return {
+            center: { x: (p1.x + p2.x) / 2, y: (p1.y + p2.y) / 2 },
+            distance: Math.sqrt(Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2))
+        };
+    }
+    
+    applyViewTransform() {
+        this.ctx.setTransform(this.scale, 0, 0, this.scale, this.translateX, this.translateY);
+    }
+    
     redraw(drawCallback) {
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         
+        // Everything below is drawn in world space
+        this.applyViewTransform();
+        
         // Draw dot pattern for orientation
         this.drawDotPattern();
         
@@ -88,16 +251,23 @@ class CanvasManager {
     }
     
     drawDotPattern() {
-        const dotSpacing = 50; // Distance between dots
-        const dotSize = 2; // Make dots slightly larger
-        const canvasWidth = this.canvas.width;
-        const canvasHeight = this.canvas.height;
+        const dotSize = 2 / this.scale; // Keep dots the same size on screen
+        let dotSpacing = 50; // Distance between dots
+        
+        // Thin out the grid when zoomed far out
+        while (dotSpacing * this.scale < 20) {
+            dotSpacing *= 2;
+        }
+        
+        const bounds = this.getVisibleWorldBounds();
+        const startX = Math.floor(bounds.minX / dotSpacing) * dotSpacing;
+        const startY = Math.floor(bounds.minY / dotSpacing) * dotSpacing;
         
         this.ctx.save();
         this.ctx.fillStyle = '#CCCCCC'; // Make dots more visible
         
-        for (let x = 0; x < canvasWidth; x += dotSpacing) {
-            for (let y = 0; y < canvasHeight; y += dotSpacing) {
+        for (let x = startX; x <= bounds.maxX; x += dotSpacing) {
+            for (let y = startY; y <= bounds.maxY; y += dotSpacing) {
                 this.ctx.beginPath();
                 this.ctx.arc(x, y, dotSize, 0, Math.PI * 2);
                 this.ctx.fill();
@@ -108,7 +278,10 @@ class CanvasManager {
     }
     
     clearCanvas() {
+        this.ctx.save();
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.restore();
     }
 }
 
@@ -0,0 +1,106 @@
+// Command-based undo/redo history
+// Each entry is a command object with label, undo() and redo() that records only
+// its own change, so history depth no longer costs a copy of the whole board.
+class CommandHistory {
+    constructor(options = {}) {
+        this.maxLength = options.maxLength || 500;
+        this.onUpdate = options.onUpdate || function() {};
+        this.clear();
+    }
+
+    clear() {
+        this.entries = [];
+        this.position = 0; // Number of entries currently applied
+        this.onUpdate();
+    }
+
+    // Apply a command and record it
+    execute(command) {
+        command.redo();
+        this.record(command);
+    }
+
+    // Record a command whose change has already been applied
+    record(command) {
+        // Recording drops anything that could have been redone
+        this.entries = this.entries.slice(0, this.position);
+        command.time = Date.now();
+        this.entries.push(command);
+
+        while (this.entries.length > this.maxLength) {
+            this.entries.shift();
+        }
+        this.position = this.entries.length;
+        this.onUpdate();
+    }
+
+    undo() {
+        if (!this.canUndo()) return null;
+
+        const command = this.entries[--this.position];
+        command.undo();
+        this.dropIfDiscarded(this.position);
+        this.onUpdate();
+        return command;
+    }
+
+    redo() {
+        if (!this.canRedo()) return null;
+
+        const command = this.entries[this.position++];
+        command.redo();
+        this.onUpdate();
+        return command;
+    }
+
+    // Undo or redo until `position` entries are applied
+    goTo(position) {
+        const target = Math.max(0, Math.min(position, this.entries.length));
+        if (target === this.position) return;
+
+        while (this.position > target) {
+            this.entries[--this.position].undo();
+            this.dropIfDiscarded(this.position);
+        }
+        while (this.position < target) {
+            this.entries[this.position++].redo();
+        }
+        this.onUpdate();
+    }
+
+    // Take a command back out of the history, undoing it first if it is applied
+    // (e.g. an AI request that failed after it was recorded)
+    rollback(command) {
+        const index = this.entries.indexOf(command);
+        if (index === -1) return;
+
+        if (index < this.position) {
+            command.undo();
+            this.position--;
+        }
+        this.entries.splice(index, 1);
+        this.onUpdate();
+    }
+
+    // A recorded command changed on its own (e.g. an AI result arrived)
+    notifyChange() {
+        this.onUpdate();
+    }
+
+    // Cancelled commands cannot be redone, so they leave the history once undone
+    dropIfDiscarded(index) {
+        if (!this.entries[index] || !this.entries[index].discarded) return false;
+        this.entries.splice(index, 1);
+        return true;
+    }
+
+    canUndo() {
+        return this.position > 0;
+    }
+
+    canRedo() {
+        return this.position < this.entries.length;
+    }
+}
+
+export { CommandHistory };
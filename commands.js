@@ -0,0 +1,347 @@
+// Undoable commands for the strokes array
+// Commands hold references to stroke objects and their geometry, never copies,
+// so base64 image payloads are shared between the board and its history.
+
+// Image and text objects are boxes: a center position with a width and height
+function isBoxObject(stroke) {
+    return stroke.type === 'image-object' || stroke.type === 'text-object';
+}
+
+// Geometry fields that move and scale operations replace
+function captureGeometry(stroke) {
+    if (isBoxObject(stroke)) {
+        const geometry = {
+            position: { x: stroke.position.x, y: stroke.position.y },
+            width: stroke.width,
+            height: stroke.height
+        };
+        // Text scales through its font size
+        if (stroke.type === 'text-object') {
+            geometry.fontSize = stroke.fontSize;
+        }
+        return geometry;
+    }
+    return { points: stroke.points };
+}
+
+// Whether two lists of captureGeometry snapshots describe the same shapes and places
+function isSameGeometry(before, after) {
+    const samePoint = (a, b) => a.x === b.x && a.y === b.y;
+    return before.length === after.length && before.every((geometry, i) => {
+        const other = after[i];
+        if (geometry.points) {
+            return other.points.length === geometry.points.length &&
+                geometry.points.every((point, j) => samePoint(point, other.points[j]));
+        }
+        return samePoint(geometry.position, other.position) &&
+            geometry.width === other.width &&
+            geometry.height === other.height &&
+            geometry.fontSize === other.fontSize;
+    });
+}
+
+function applyGeometry(stroke, geometry) {
+    if (isBoxObject(stroke)) {
+        stroke.position = { x: geometry.position.x, y: geometry.position.y };
+        stroke.width = geometry.width;
+        stroke.height = geometry.height;
+        if (geometry.fontSize !== undefined) {
+            stroke.fontSize = geometry.fontSize;
+        }
+    } else {
+        stroke.points = geometry.points;
+    }
+}
+
+function translateStrokes(strokes, dx, dy) {
+    strokes.forEach(stroke => {
+        if (isBoxObject(stroke)) {
+            stroke.position.x += dx;
+            stroke.position.y += dy;
+        } else if (stroke.points) {
+            stroke.points = stroke.points.map(p => ({
+                x: p.x + dx,
+                y: p.y + dy
+            }));
+        }
+    });
+}
+
+// Adds strokes on top of the board
+class AddStrokesCommand {
+    constructor(drawingManager, strokes, label = 'stroke') {
+        this.drawingManager = drawingManager;
+        this.strokes = strokes;
+        this.label = label;
+        this.indices = null;
+    }
+
+    redo() {
+        const list = this.drawingManager.strokes;
+        if (this.indices) {
+            // Put them back where they were, lowest index first
+            this.strokes
+                .map((stroke, i) => ({ stroke, index: this.indices[i] > -1 ? this.indices[i] : list.length + i }))
+                .sort((a, b) => a.index - b.index)
+                .forEach(({ stroke, index }) => {
+                    list.splice(Math.min(index, list.length), 0, stroke);
+                });
+        } else {
+            this.strokes.forEach(stroke => list.push(stroke));
+        }
+    }
+
+    undo() {
+        const list = this.drawingManager.strokes;
+        this.indices = this.strokes.map(stroke => list.indexOf(stroke));
+        this.strokes.forEach(stroke => {
+            const index = list.indexOf(stroke);
+            if (index > -1) {
+                list.splice(index, 1);
+            }
+        });
+    }
+}
+
+// Removes strokes, remembering their z-order so undo can restore it
+class DeleteStrokesCommand {
+    constructor(drawingManager, strokes, label = 'delete') {
+        this.drawingManager = drawingManager;
+        this.strokes = strokes;
+        this.label = label;
+        this.removed = [];
+    }
+
+    redo() {
+        const list = this.drawingManager.strokes;
+        this.removed = this.strokes
+            .map(stroke => ({ stroke, index: list.indexOf(stroke) }))
+            .filter(entry => entry.index > -1)
+            .sort((a, b) => a.index - b.index);
+
+        // Remove from the end so earlier indices stay valid
+        for (let i = this.removed.length - 1; i >= 0; i--) {
+            list.splice(this.removed[i].index, 1);
+        }
+    }
+
+    undo() {
+        const list = this.drawingManager.strokes;
+        this.removed.forEach(({ stroke, index }) => {
+            list.splice(Math.min(index, list.length), 0, stroke);
+        });
+    }
+}
+
+// Puts the pieces left of a stroke (e.g. after erasing through it) in its place in the stack
+class SplitStrokeCommand {
+    constructor(drawingManager, stroke, pieces, label = 'erase') {
+        this.drawingManager = drawingManager;
+        this.stroke = stroke;
+        this.pieces = pieces;
+        this.label = label;
+        this.index = -1;
+    }
+
+    redo() {
+        const list = this.drawingManager.strokes;
+        this.index = list.indexOf(this.stroke);
+        if (this.index > -1) {
+            list.splice(this.index, 1, ...this.pieces);
+        }
+    }
+
+    undo() {
+        if (this.index > -1) {
+            this.drawingManager.strokes.splice(this.index, this.pieces.length, this.stroke);
+        }
+    }
+}
+
+class MoveStrokesCommand {
+    constructor(strokes, dx, dy, label = 'move') {
+        this.strokes = strokes;
+        this.dx = dx;
+        this.dy = dy;
+        this.label = label;
+    }
+
+    redo() {
+        translateStrokes(this.strokes, this.dx, this.dy);
+    }
+
+    undo() {
+        translateStrokes(this.strokes, -this.dx, -this.dy);
+    }
+}
+
+// Swaps stroke geometry between two captured states (e.g. before and after scaling)
+class TransformStrokesCommand {
+    constructor(strokes, before, after, label = 'scale') {
+        this.strokes = strokes;
+        this.before = before;
+        this.after = after;
+        this.label = label;
+    }
+
+    redo() {
+        this.strokes.forEach((stroke, i) => applyGeometry(stroke, this.after[i]));
+    }
+
+    undo() {
+        this.strokes.forEach((stroke, i) => applyGeometry(stroke, this.before[i]));
+    }
+}
+
+// Swaps an image object's picture and size
+class UpdateImageCommand {
+    constructor(imageObj, before, after, label = 'AI edit') {
+        this.imageObj = imageObj;
+        this.before = before;
+        this.after = after;
+        this.label = label;
+    }
+
+    redo() {
+        Object.assign(this.imageObj, this.after);
+    }
+
+    undo() {
+        Object.assign(this.imageObj, this.before);
+    }
+}
+
+// Changes a text object's text and the box that follows from it
+class UpdateTextCommand {
+    constructor(textObj, before, after, label = 'edit text') {
+        this.textObj = textObj;
+        this.before = before;
+        this.after = after;
+        this.label = label;
+    }
+
+    redo() {
+        Object.assign(this.textObj, this.after);
+    }
+
+    undo() {
+        Object.assign(this.textObj, this.before);
+    }
+}
+
+// Several commands undone and redone as one history entry
+class CompositeCommand {
+    constructor(label, commands) {
+        this.label = label;
+        this.commands = commands;
+    }
+
+    redo() {
+        this.commands.forEach(command => command.redo());
+    }
+
+    undo() {
+        for (let i = this.commands.length - 1; i >= 0; i--) {
+            this.commands[i].undo();
+        }
+    }
+}
+
+// One AI generate or edit as a single history entry: removes the sketch strokes
+// and adds (or repaints) the image. It is recorded when the request starts, so
+// undoing it while the request is still running cancels the request instead.
+class AITransactionCommand {
+    // removedImages are source images that the new image takes the place of (AI combine)
+    constructor(drawingManager, { label, sketchStrokes = [], removedImages = [], newImage = null, editedImage = null }) {
+        this.label = label;
+        this.status = 'pending'; // pending | done | cancelled | failed
+        this.discarded = false; // Cancelled or failed entries are dropped from the history
+        this.onCancel = null;
+        this.image = newImage || editedImage;
+        this.removeStrokes = new DeleteStrokesCommand(drawingManager, [...sketchStrokes, ...removedImages]);
+        this.addImage = newImage ? new AddStrokesCommand(drawingManager, [newImage]) : null;
+        this.before = editedImage ? {
+            imageData: editedImage.imageData,
+            width: editedImage.width,
+            height: editedImage.height,
+            variants: editedImage.variants || [],
+            versions: editedImage.versions
+        } : null;
+        this.after = null;
+    }
+
+    redo() {
+        this.removeStrokes.redo();
+        if (this.addImage) {
+            this.addImage.redo();
+        }
+
+        if (this.status === 'pending') {
+            this.image.isGenerating = true;
+            this.image.currentFrame = 0;
+            this.image.previewImage = null;
+        } else if (this.after) {
+            Object.assign(this.image, this.after);
+        }
+    }
+
+    undo() {
+        if (this.status === 'pending') {
+            this.cancel();
+        }
+
+        this.image.isGenerating = false;
+        this.image.previewImage = null;
+        if (this.before) {
+            Object.assign(this.image, this.before);
+        }
+        if (this.addImage) {
+            this.addImage.undo();
+        }
+        this.removeStrokes.undo();
+    }
+
+    isPending() {
+        return this.status === 'pending';
+    }
+
+    // Stop waiting for the result; whatever arrives later is dropped
+    cancel() {
+        this.status = 'cancelled';
+        this.discarded = true;
+        this.image.isGenerating = false;
+        this.image.previewImage = null;
+        if (this.onCancel) {
+            this.onCancel();
+        }
+    }
+
+    complete(after) {
+        this.after = after;
+        this.status = 'done';
+        this.image.isGenerating = false;
+        this.image.previewImage = null;
+        Object.assign(this.image, after);
+    }
+
+    fail() {
+        this.status = 'failed';
+        this.discarded = true;
+    }
+}
+
+export {
+    AddStrokesCommand,
+    DeleteStrokesCommand,
+    SplitStrokeCommand,
+    MoveStrokesCommand,
+    TransformStrokesCommand,
+    UpdateImageCommand,
+    UpdateTextCommand,
+    CompositeCommand,
+    AITransactionCommand,
+    isBoxObject,
+    captureGeometry,
+    isSameGeometry,
+    translateStrokes
+};
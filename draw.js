@@ -1,11 +1,36 @@
 import { AIGenerator } from './ai.js';
 import { ImageGenerator } from './imageGen.js';
+import { CommandHistory } from './commandHistory.js';
+import { DEFAULT_STYLE } from './stylePresets.js';
+import { PenGestures } from './penGestures.js';
+import {
+    AddStrokesCommand,
+    DeleteStrokesCommand,
+    SplitStrokeCommand,
+    MoveStrokesCommand,
+    TransformStrokesCommand,
+    CompositeCommand,
+    AITransactionCommand,
+    isBoxObject,
+    captureGeometry,
+    isSameGeometry
+} from './commands.js';
+import { drawText, measureText } from './textObjects.js';
+import { strokeTouchesEraser, eraseFromStroke } from './strokeEraser.js';
+import { getStrokeAlpha, traceStroke } from './strokeStyle.js';
+
+// Two taps on a text object this close together (ms) open it for editing
+const TEXT_DOUBLE_TAP_TIME = 400;
+
+// Eraser radius in screen pixels
+const ERASER_RADIUS = 12;
 
 class DrawingManager {
-    constructor(canvas, ctx, canvasManager) {
+    constructor(canvas, ctx, canvasManager, settings) {
         this.canvas = canvas;
         this.ctx = ctx;
         this.canvasManager = canvasManager;
+        this.settings = settings;
         
         // Debug display elements
         this.penX = document.getElementById('penX');
@@ -16,24 +41,36 @@ class DrawingManager {
         
         this.strokes = [];
         
-        // Debug: Check if SimpleUndo is available
-        if (typeof SimpleUndo === 'undefined') {
-            console.error('SimpleUndo is not defined. Check if simple-undo library loaded correctly.');
-            throw new Error('SimpleUndo not available');
-        }
-        
-        this.undoManager = new SimpleUndo({
-            provider: (done) => {
-                done(JSON.parse(JSON.stringify(this.strokes)));
-            },
-            maxLength: 20
+        // Style preset ({ id, name, prompt }) used by every AI prompt on this board
+        this.style = DEFAULT_STYLE;
+        
+        // Undo history of labelled commands (see commands.js)
+        this.historyListeners = []; // Panels that follow the history (see HistoryPanel)
+        this.history = new CommandHistory({
+            maxLength: 500,
+            onUpdate: () => {
+                // Notify listeners (e.g. autosave, history panel) after every history change
+                if (this.onStrokesChange) {
+                    this.onStrokesChange();
+                }
+                this.historyListeners.forEach(listener => listener());
+            }
         });
         this.currentStroke = null;
         this.isDrawing = false;
+        
+        // Pen tool: 'pen' and 'highlighter' draw, 'eraser' erases (see ToolPalette).
+        // Colors, width, opacity and the eraser mode are settings.
+        this.tool = 'pen';
+        this.isErasing = false;
+        this.eraseMode = 'stroke'; // Eraser mode of the current erase
+        this.eraserPoint = null; // Last eraser position while erasing
+        this.eraseCommands = []; // Changes of the current erase, recorded as one history entry
         this.isDragging = false;
         this.dragOffset = { x: 0, y: 0 };
         this.selectedStroke = null;
         this.draggedStrokes = []; // Strokes being dragged together
+        this.dragStartGeometry = []; // Their geometry when the drag started
         this.isLassoSelecting = false;
         this.lassoPoints = []; // Points for lasso selection
         this.selectedStrokes = []; // Strokes selected by lasso
@@ -51,6 +88,8 @@ class DrawingManager {
         this.scaleStartWidth = 0;
         this.scaleStartHeight = 0;
         this.scaleTarget = null; // The object being scaled
+        this.scaledStrokes = []; // Everything affected by the current scale gesture
+        this.scaleStartGeometry = []; // Their geometry when the gesture started
 
         // Long-tap state management
         this.longTapTimer = null;
@@ -67,7 +106,10 @@ class DrawingManager {
         this.deleteZoneAnimationSpeed = 0.1; // How fast the animation transitions
 
         // AI generator
-        this.aiGenerator = new AIGenerator();
+        this.aiGenerator = new AIGenerator(settings);
+        
+        // Pen gestures (an X, a loop, a strike-through, an arrow) are recognized locally
+        this.penGestures = new PenGestures(this, settings);
 
         this.setupEventListeners();
     }
@@ -82,25 +124,37 @@ class DrawingManager {
         // Debug: Update display on any pointer movement
         this.canvas.addEventListener('pointermove', (e) => this.updateDebugDisplay(e));
         
-        // Set up canvas manager undo callback
-        this.canvasManager.onUndo = () => {
-            this.undoManager.undo((restoredStrokes) => {
-                this.strokes = restoredStrokes || [];
-                this.redraw();
-            });
+        // Set up canvas manager undo/redo callbacks
+        this.canvasManager.onUndo = () => this.undo();
+        this.canvasManager.onRedo = () => this.redo();
+        
+        // Redraw whenever the view is panned, zoomed or resized
+        this.canvasManager.onViewChange = () => {
+            this.redraw();
+            this.aiGenerator.variationSheet.reposition();
+            if (this.onViewChange) {
+                this.onViewChange();
+            }
         };
         
-        // Touch events for scaling
+        // Touch events for scaling objects, or panning/zooming the view on empty space
         this.canvas.addEventListener('touchstart', (e) => {
             if (e.touches.length === 2) {
                 this.handleScaleStart(e);
+                if (!this.isScaling) {
+                    this.startViewGesture(e);
+                }
             }
         });
         
         this.canvas.addEventListener('touchmove', (e) => {
             if (e.touches.length === 2) {
                 e.preventDefault(); // Prevent scrolling
-                this.handleScaleMove(e);
+                if (this.isScaling) {
+                    this.handleScaleMove(e);
+                } else {
+                    this.canvasManager.updateViewGesture(e.touches);
+                }
             }
         });
         
@@ -108,20 +162,59 @@ class DrawingManager {
             if (this.isScaling && e.touches.length < 2) {
                 this.handleScaleEnd();
             }
+            if (this.canvasManager.isViewGestureActive() && e.touches.length < 2) {
+                this.canvasManager.endViewGesture();
+            }
         });
     }
     
     handlePointerDown(e) {
         e.preventDefault();
         
+        // Fingers belong to the pan/zoom gesture while it is active
+        if (e.pointerType === 'touch' && this.canvasManager.isViewGestureActive()) return;
+        
         const point = this.canvasManager.getPointFromEvent(e);
         
+        // The cancel button on a generating placeholder works with pen and finger
+        const generatingImage = this.findCancelButtonAtPoint(point);
+        if (generatingImage) {
+            this.cancelGeneration(generatingImage);
+            return;
+        }
+        
+        const imageWithVariants = this.findVariantsBadgeAtPoint(point);
+        if (imageWithVariants) {
+            this.aiGenerator.showVariants(this, imageWithVariants);
+            return;
+        }
+        
         if (e.pointerType === 'pen') {
+            // The eraser tool, or the eraser end of pens that have one (buttons bit 32: Surface
+            // and Wacom pens; Apple Pencil has no eraser end and never sets it)
+            if (this.tool === 'eraser' || (e.buttons & 32)) {
+                this.startErasing(point);
+                return;
+            }
             // Drawing mode with Apple Pencil
             this.startDrawing(point, e);
         } else if (e.pointerType === 'touch') {
             // Touch mode - check if hitting an existing stroke
             this.selectedStroke = this.findStrokeAtPoint(point);
+            
+            // A double tap on a text object edits its text
+            if (this.selectedStroke && this.selectedStroke.type === 'text-object') {
+                const lastTap = this.lastTextTap;
+                this.lastTextTap = { stroke: this.selectedStroke, time: Date.now() };
+                if (lastTap && lastTap.stroke === this.selectedStroke && Date.now() - lastTap.time < TEXT_DOUBLE_TAP_TIME) {
+                    this.lastTextTap = null;
+                    if (this.onEditText) {
+                        this.onEditText(this.selectedStroke);
+                    }
+                    return;
+                }
+            }
+            
             if (this.selectedStroke) {
                 // Check if this stroke is already selected by lasso
                 if (this.selectedStrokes.includes(this.selectedStroke)) {
@@ -149,9 +242,13 @@ class DrawingManager {
     handlePointerMove(e) {
         e.preventDefault();
         
+        if (e.pointerType === 'touch' && this.canvasManager.isViewGestureActive()) return;
+        
         const point = this.canvasManager.getPointFromEvent(e);
         
-        if (this.isDrawing && e.pointerType === 'pen') {
+        if (this.isErasing && e.pointerType === 'pen') {
+            this.continueErasing(point);
+        } else if (this.isDrawing && e.pointerType === 'pen') {
             this.continueDrawing(point, e);
         } else if (this.isLongTapping && e.pointerType === 'touch') {
             // Check movement tolerance for long-tap
@@ -179,6 +276,8 @@ class DrawingManager {
             this.cancelLongTap();
             // If finger was held for less than 3 seconds, start dragging behavior
             this.startDragging(this.longTapStartPoint);
+        } else if (this.isErasing) {
+            this.finishErasing();
         } else if (this.isDrawing) {
             this.finishDrawing();
         } else if (this.isDragging) {
@@ -233,42 +332,55 @@ class DrawingManager {
         this.isLongTapping = false;
         this.showLongTapProgress = false;
         
-        // Check if we have both strokes and images (two-step process)
-        const hasImages = this.draggedStrokes.some(stroke => stroke.type === 'image-object');
-        const hasStrokes = this.draggedStrokes.some(stroke => stroke.type !== 'image-object');
-        
-        if (hasImages && hasStrokes) {
-            // Two-step process: don't remove strokes yet, they'll be removed when user selects a chip
-            // Just process with AI (strokes will be removed in selectEditOption)
-        } else {
-            // Single-step process: remove strokes immediately (like drop zone behavior)
-            this.draggedStrokes.forEach(stroke => {
-                const index = this.strokes.indexOf(stroke);
-                if (index > -1) {
-                    this.strokes.splice(index, 1);
-                }
-            });
-        }
-        
-        // Process with AI (same as drop zone behavior)
-        this.aiGenerator.processDrawing(this, this.draggedStrokes);
+        // The sketch stays on the board until the AI operation starts; its removal is
+        // part of that operation's history entry (for the two-step process, once a chip is picked)
+        this.aiGenerator.processDrawing(this, [...this.draggedStrokes]);
         
         // Clear selections immediately (like drop zone behavior)
         this.clearAllSelections();
         this.redraw();
     }
 
+    startViewGesture(e) {
+        // Two fingers on empty space: drop the lasso/long-tap the first finger started
+        this.cancelLongTap();
+        this.isLassoSelecting = false;
+        this.lassoPoints = [];
+        if (this.isDragging) {
+            this.isDragging = false;
+            this.draggedStrokes = [];
+            this.selectedStroke = null;
+            this.hideDropZone();
+        }
+        
+        this.canvasManager.startViewGesture(e.touches);
+    }
+
     startDrawing(point, event) {
         this.isDrawing = true;
+        this.strokeStartTime = Date.now();
+        this.strokeRest = { point, time: this.strokeStartTime }; // Where the pen last stopped moving
         this.currentStroke = {
             points: [point],
             pressures: [event.pressure || 0.5],
             tilts: [{ x: event.tiltX || 0, y: event.tiltY || 0 }],
             type: 'pen',
+            ...this.getBrushStyle(),
             selected: false
         };
         
-        this.drawPoint(point, event.pressure || 0.5, event.tiltX || 0, event.tiltY || 0);
+        this.drawStrokeSegment(this.currentStroke);
+    }
+    
+    // Style of new strokes, from the tool palette (see strokeStyle.js)
+    getBrushStyle() {
+        const highlighter = this.tool === 'highlighter';
+        return {
+            color: this.settings.get(highlighter ? 'highlighterColor' : 'penColor'),
+            widthScale: this.settings.get('brushWidth'),
+            opacity: this.settings.get('brushOpacity'),
+            brush: highlighter ? 'highlighter' : 'pen'
+        };
     }
     
     continueDrawing(point, event) {
@@ -278,30 +390,107 @@ class DrawingManager {
         this.currentStroke.pressures.push(event.pressure || 0.5);
         this.currentStroke.tilts.push({ x: event.tiltX || 0, y: event.tiltY || 0 });
         
-        this.drawStrokeSegment(this.currentStroke);
+        // Jitter of a pen held still does not count as moving
+        const rest = this.strokeRest;
+        if (Math.hypot(point.x - rest.point.x, point.y - rest.point.y) > 4 / this.canvasManager.scale) {
+            this.strokeRest = { point, time: Date.now() };
+        }
+        
+        // See-through strokes are drawn whole, so painting over the stroke so far would
+        // darken it; redraw the board (which includes the current stroke) instead
+        if (getStrokeAlpha(this.currentStroke) < 1) {
+            this.redraw();
+        } else {
+            this.drawStrokeSegment(this.currentStroke);
+        }
     }
     
     finishDrawing() {
         if (this.currentStroke) {
-            this.strokes.push(this.currentStroke);
+            const stroke = this.currentStroke;
             this.currentStroke = null;
-            // Save state for undo
-            this.undoManager.save();
+            
+            // Only the pen makes gestures; highlighting over things is just highlighting
+            const heldFor = Date.now() - this.strokeRest.time;
+            if (stroke.brush !== 'pen' || !this.penGestures.handleStroke(stroke, this.strokeStartTime, heldFor)) {
+                // Add the stroke through the history so it can be undone
+                const command = new AddStrokesCommand(this, [stroke], 'stroke');
+                this.history.execute(command);
+                this.penGestures.recordStroke(stroke, command);
+            }
         }
         this.isDrawing = false;
     }
     
+    setTool(tool) {
+        this.tool = tool;
+    }
+    
+    startErasing(point) {
+        this.isErasing = true;
+        this.eraseMode = this.settings.get('eraserMode');
+        this.eraseCommands = [];
+        this.eraserPoint = point;
+        this.eraseAlong(point, point);
+    }
+    
+    continueErasing(point) {
+        this.eraseAlong(this.eraserPoint, point);
+        this.eraserPoint = point;
+    }
+    
+    finishErasing() {
+        this.isErasing = false;
+        this.eraserPoint = null;
+        
+        // Everything one eraser stroke removed or split is undone together
+        if (this.eraseCommands.length > 0) {
+            this.history.record(new CompositeCommand('erase', this.eraseCommands));
+        }
+        this.eraseCommands = [];
+        this.redraw();
+    }
+    
+    // Erase the ink under the eraser moving from a to b: whole strokes ('stroke' mode) or
+    // just the covered parts ('partial'). Images and text objects are never erased.
+    eraseAlong(a, b) {
+        const radius = ERASER_RADIUS / this.canvasManager.scale;
+        
+        this.strokes
+            .filter(stroke => !isBoxObject(stroke) && stroke.points)
+            .forEach(stroke => {
+                let command = null;
+                if (this.eraseMode === 'partial') {
+                    const pieces = eraseFromStroke(stroke, a, b, radius);
+                    if (pieces) {
+                        command = new SplitStrokeCommand(this, stroke, pieces);
+                    }
+                } else if (strokeTouchesEraser(stroke, a, b, radius)) {
+                    command = new DeleteStrokesCommand(this, [stroke], 'erase');
+                }
+                
+                if (command) {
+                    command.redo();
+                    this.eraseCommands.push(command);
+                }
+            });
+        
+        this.redraw();
+    }
+    
     startDragging(point) {
         this.isDragging = true;
         this.dragOffset = {
             x: point.x,
             y: point.y
         };
+        this.dragStartPoint = { x: point.x, y: point.y };
         
         // If no dragged strokes set, find nearby strokes
         if (this.draggedStrokes.length === 0) {
             this.draggedStrokes = this.findNearbyStrokes(this.selectedStroke, 50); // 50px tolerance
         }
+        this.dragStartGeometry = this.draggedStrokes.map(captureGeometry);
         
         // Show drop zone when dragging
         this.showDropZone();
@@ -315,8 +504,8 @@ class DrawingManager {
         
         // Translate all points in all dragged strokes
         this.draggedStrokes.forEach(stroke => {
-            if (stroke.type === 'image-object') {
-                // Move image object position
+            if (isBoxObject(stroke)) {
+                // Move image or text object position
                 stroke.position.x += deltaX;
                 stroke.position.y += deltaY;
             } else if (stroke.points) {
@@ -372,6 +561,13 @@ class DrawingManager {
         this.deleteZoneScale = 1.0;
         this.deleteZoneTargetScale = 1.0;
 
+        // Record the move if anything actually moved
+        const moveCommand = this.getDragMoveCommand();
+        if (moveCommand) {
+            this.history.record(moveCommand);
+        }
+        this.dragStartPoint = null;
+
         // If we were dragging a group, keep all strokes in the group selected
         if (this.draggedStrokes.length > 1) {
             // Keep all dragged strokes selected
@@ -391,6 +587,20 @@ class DrawingManager {
         this.redraw();
     }
     
+    getDragMoveCommand() {
+        if (!this.dragStartPoint || this.draggedStrokes.length === 0) return null;
+        
+        // Same check as the end of a pinch: a drag that moved nothing is no undo step
+        if (isSameGeometry(this.dragStartGeometry, this.draggedStrokes.map(captureGeometry))) return null;
+        
+        const dx = this.dragOffset.x - this.dragStartPoint.x;
+        const dy = this.dragOffset.y - this.dragStartPoint.y;
+        if (dx === 0 && dy === 0) return null;
+        
+        // The drag has already moved the strokes; the command only records it
+        return new MoveStrokesCommand([...this.draggedStrokes], dx, dy);
+    }
+    
     clearLassoSelection() {
         // Clear selection from all lasso-selected strokes
         this.selectedStrokes.forEach(stroke => {
@@ -440,67 +650,29 @@ class DrawingManager {
         this.redraw();
     }
     
-    drawPoint(point, pressure, tiltX, tiltY) {
-        const size = Math.max(1, pressure * 20);
-        
-        this.ctx.save();
-        this.ctx.translate(point.x, point.y);
-        
-        // Apply tilt rotation
-        const angle = Math.atan2(tiltY, tiltX) * 0.3; // Scale down tilt effect
-        this.ctx.rotate(angle);
-        
-        this.ctx.beginPath();
-        this.ctx.arc(0, 0, size / 2, 0, Math.PI * 2);
-        this.ctx.fill();
-        
-        this.ctx.restore();
-    }
-    
     drawStrokeSegment(stroke) {
-        if (stroke.points.length < 2) return;
-        
-        const points = stroke.points;
-        const pressures = stroke.pressures;
-        const tilts = stroke.tilts;
-        
-        this.ctx.save();
-        
-        // Change color if stroke is selected
+        // Selected strokes are drawn in blue with a glow
         if (stroke.selected) {
-            this.ctx.strokeStyle = '#007AFF';
+            this.ctx.save();
             this.ctx.shadowColor = '#007AFF';
             this.ctx.shadowBlur = 10;
+            traceStroke(this.ctx, stroke, { color: '#007AFF' });
+            this.ctx.restore();
         } else {
-            this.ctx.strokeStyle = '#000000';
-            this.ctx.shadowBlur = 0;
+            traceStroke(this.ctx, stroke);
         }
-        
-        // Draw each segment with its own pressure
-        for (let i = 1; i < points.length; i++) {
-            const prevPoint = points[i - 1];
-            const currentPoint = points[i];
-            const pressure = pressures[i];
-            
-            // Set line width for this segment
-            this.ctx.lineWidth = Math.max(1, pressure * 20);
-            
-            // Draw this segment
-            this.ctx.beginPath();
-            this.ctx.moveTo(prevPoint.x, prevPoint.y);
-            this.ctx.lineTo(currentPoint.x, currentPoint.y);
-            this.ctx.stroke();
-        }
-        this.ctx.restore();
     }
     
     drawLassoSelection() {
         if (this.lassoPoints.length < 2) return;
         
+        // Keep the lasso line the same thickness on screen at any zoom
+        const scale = this.canvasManager.scale;
+        
         this.ctx.save();
         this.ctx.strokeStyle = '#007AFF';
-        this.ctx.lineWidth = 2;
-        this.ctx.setLineDash([5, 5]);
+        this.ctx.lineWidth = 2 / scale;
+        this.ctx.setLineDash([5 / scale, 5 / scale]);
         this.ctx.lineCap = 'round';
         
         this.ctx.beginPath();
@@ -514,6 +686,19 @@ class DrawingManager {
         this.ctx.restore();
     }
 
+    // The eraser's outline, the same size on screen at any zoom
+    drawEraser() {
+        const scale = this.canvasManager.scale;
+        
+        this.ctx.save();
+        this.ctx.strokeStyle = '#888888';
+        this.ctx.lineWidth = 1 / scale;
+        this.ctx.beginPath();
+        this.ctx.arc(this.eraserPoint.x, this.eraserPoint.y, ERASER_RADIUS / scale, 0, Math.PI * 2);
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+    
     drawLongTapProgress() {
         if (!this.showLongTapProgress || !this.draggedStrokes.length) return;
         
@@ -521,7 +706,7 @@ class DrawingManager {
         let centerX = 0, centerY = 0, count = 0;
         
         this.draggedStrokes.forEach(stroke => {
-            if (stroke.type === 'image-object') {
+            if (isBoxObject(stroke)) {
                 centerX += stroke.position.x;
                 centerY += stroke.position.y;
                 count++;
@@ -569,6 +754,21 @@ class DrawingManager {
         this.ctx.restore();
     }
     
+    drawTextObject(textObj) {
+        drawText(this.ctx, textObj);
+        
+        // Draw selection border if selected
+        if (textObj.selected) {
+            const x = textObj.position.x - textObj.width / 2;
+            const y = textObj.position.y - textObj.height / 2;
+            this.ctx.save();
+            this.ctx.strokeStyle = '#007AFF';
+            this.ctx.lineWidth = 3;
+            this.ctx.strokeRect(x - 10, y - 10, textObj.width + 20, textObj.height + 20);
+            this.ctx.restore();
+        }
+    }
+    
     drawImageObject(imageObj) {
         this.ctx.save();
 
@@ -616,8 +816,11 @@ class DrawingManager {
             this.ctx.strokeRect(x - 10, y - 10, imageObj.width + 20, imageObj.height + 20);
         }
 
-        // Draw loading indicator if generating
-        if (imageObj.isGenerating) {
+        // Streamed preview frames replace the pulsing overlay once the first one arrives
+        if (imageObj.isGenerating && imageObj.previewImage && imageObj.jobStatus !== 'failed') {
+            this.drawGenerationPreview(imageObj, x, y);
+            this.drawCancelButton(imageObj);
+        } else if (imageObj.isGenerating) {
             // Add pulsing animation to the entire image square
             const time = Date.now() * 0.003; // Slow animation
             const pulseScale = 1 + Math.sin(time) * 0.1; // Scale between 0.9 and 1.1
@@ -628,7 +831,7 @@ class DrawingManager {
             this.ctx.translate(-imageObj.position.x, -imageObj.position.y);
             
             // Draw animated background
-            this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+            this.ctx.fillStyle = imageObj.jobStatus === 'failed' ? 'rgba(198, 40, 40, 0.8)' : 'rgba(0, 0, 0, 0.7)';
             this.ctx.fillRect(x, y, imageObj.width, imageObj.height);
             
             // Draw text without animation
@@ -637,17 +840,178 @@ class DrawingManager {
             this.ctx.textAlign = 'center';
             this.ctx.textBaseline = 'middle';
             this.ctx.fillText(
-                'Generating...',
+                this.getJobStatusText(imageObj),
                 imageObj.position.x,
                 imageObj.position.y
             );
             
             this.ctx.restore();
+            
+            if (imageObj.jobStatus !== 'failed') {
+                this.drawCancelButton(imageObj);
+            }
+        } else if (imageObj.jobStatus === 'done' &&
+                   Date.now() - imageObj.jobStatusTime < this.aiGenerator.queue.statusDisplayTime) {
+            this.drawDoneBadge(imageObj);
+        }
+        
+        if (!imageObj.isGenerating && imageObj.variants && imageObj.variants.length > 0) {
+            this.drawVariantsBadge(imageObj);
         }
 
         this.ctx.restore();
     }
 
+    drawGenerationPreview(imageObj, x, y) {
+        this.ctx.drawImage(imageObj.previewImage, x, y, imageObj.width, imageObj.height);
+        
+        // Label along the bottom edge so the preview itself stays visible
+        const barHeight = 28;
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.fillRect(x, y + imageObj.height - barHeight, imageObj.width, barHeight);
+        
+        this.ctx.fillStyle = 'white';
+        this.ctx.font = '14px Arial, sans-serif';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(
+            `Generating... (preview ${imageObj.currentFrame})`,
+            imageObj.position.x,
+            y + imageObj.height - barHeight / 2
+        );
+    }
+    
+    getJobStatusText(imageObj) {
+        switch (imageObj.jobStatus) {
+            case 'pending':
+                return `Queued (#${imageObj.queuePosition})`;
+            case 'failed':
+                return 'Failed';
+            default:
+                return 'Generating...';
+        }
+    }
+    
+    // Brief check mark where the cancel button was once a job has finished
+    drawDoneBadge(imageObj) {
+        const badge = this.getCancelButton(imageObj);
+        const arm = badge.radius * 0.45;
+        
+        this.ctx.save();
+        this.ctx.fillStyle = '#34C759';
+        this.ctx.beginPath();
+        this.ctx.arc(badge.x, badge.y, badge.radius, 0, Math.PI * 2);
+        this.ctx.fill();
+        
+        this.ctx.strokeStyle = 'white';
+        this.ctx.lineWidth = 3 / this.canvasManager.scale;
+        this.ctx.lineCap = 'round';
+        this.ctx.lineJoin = 'round';
+        this.ctx.beginPath();
+        this.ctx.moveTo(badge.x - arm, badge.y);
+        this.ctx.lineTo(badge.x - arm * 0.3, badge.y + arm * 0.7);
+        this.ctx.lineTo(badge.x + arm, badge.y - arm * 0.6);
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+    
+    // Cancel button in the top-right corner of a generating placeholder, constant size on screen
+    getCancelButton(imageObj) {
+        return {
+            x: imageObj.position.x + imageObj.width / 2,
+            y: imageObj.position.y - imageObj.height / 2,
+            radius: 18 / this.canvasManager.scale
+        };
+    }
+    
+    drawCancelButton(imageObj) {
+        const button = this.getCancelButton(imageObj);
+        const arm = button.radius * 0.4;
+        
+        this.ctx.save();
+        this.ctx.fillStyle = '#FF3B30';
+        this.ctx.beginPath();
+        this.ctx.arc(button.x, button.y, button.radius, 0, Math.PI * 2);
+        this.ctx.fill();
+        
+        this.ctx.strokeStyle = 'white';
+        this.ctx.lineWidth = 3 / this.canvasManager.scale;
+        this.ctx.lineCap = 'round';
+        this.ctx.beginPath();
+        this.ctx.moveTo(button.x - arm, button.y - arm);
+        this.ctx.lineTo(button.x + arm, button.y + arm);
+        this.ctx.moveTo(button.x + arm, button.y - arm);
+        this.ctx.lineTo(button.x - arm, button.y + arm);
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+    
+    findCancelButtonAtPoint(point) {
+        // Topmost first, like findStrokeAtPoint
+        for (let i = this.strokes.length - 1; i >= 0; i--) {
+            const stroke = this.strokes[i];
+            if (stroke.type !== 'image-object' || !stroke.isGenerating || stroke.jobStatus === 'failed') continue;
+            
+            const button = this.getCancelButton(stroke);
+            const distance = Math.sqrt(Math.pow(point.x - button.x, 2) + Math.pow(point.y - button.y, 2));
+            if (distance <= button.radius * 1.5) {
+                return stroke;
+            }
+        }
+        return null;
+    }
+    
+    // Badge in the bottom-right corner of an image with kept variations; tapping it
+    // reopens the contact sheet
+    getVariantsBadge(imageObj) {
+        return {
+            x: imageObj.position.x + imageObj.width / 2,
+            y: imageObj.position.y + imageObj.height / 2,
+            radius: 16 / this.canvasManager.scale
+        };
+    }
+    
+    drawVariantsBadge(imageObj) {
+        const badge = this.getVariantsBadge(imageObj);
+        
+        this.ctx.save();
+        this.ctx.fillStyle = '#007AFF';
+        this.ctx.beginPath();
+        this.ctx.arc(badge.x, badge.y, badge.radius, 0, Math.PI * 2);
+        this.ctx.fill();
+        
+        this.ctx.fillStyle = 'white';
+        this.ctx.font = `bold ${13 / this.canvasManager.scale}px Arial, sans-serif`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(`+${imageObj.variants.length}`, badge.x, badge.y);
+        this.ctx.restore();
+    }
+    
+    findVariantsBadgeAtPoint(point) {
+        for (let i = this.strokes.length - 1; i >= 0; i--) {
+            const stroke = this.strokes[i];
+            if (stroke.type !== 'image-object' || stroke.isGenerating || !stroke.variants || stroke.variants.length === 0) continue;
+            
+            const badge = this.getVariantsBadge(stroke);
+            const distance = Math.sqrt(Math.pow(point.x - badge.x, 2) + Math.pow(point.y - badge.y, 2));
+            if (distance <= badge.radius * 1.5) {
+                return stroke;
+            }
+        }
+        return null;
+    }
+    
+    // Abort the request behind a generating image and take its transaction back out
+    cancelGeneration(imageObj) {
+        const transaction = this.getPendingTransactions().find(command => command.image === imageObj);
+        if (!transaction) return;
+        
+        transaction.cancel();
+        this.history.rollback(transaction);
+        this.clearAllSelections();
+    }
+    
     getCachedImage(imageData) {
         if (this.imageCache.has(imageData)) {
             return this.imageCache.get(imageData);
@@ -680,6 +1044,18 @@ class DrawingManager {
                 }
             });
             
+            // Text objects above the strokes - non-dragged ones
+            this.strokes.forEach(stroke => {
+                if (stroke.type === 'text-object' && !this.draggedStrokes.includes(stroke)) {
+                    this.drawTextObject(stroke);
+                }
+            });
+            
+            // The stroke being drawn
+            if (this.currentStroke) {
+                this.drawStrokeSegment(this.currentStroke);
+            }
+            
             // Draw dragged objects with delete zone feedback if applicable
             if (this.isDragging && this.draggedStrokes.length > 0 && this.deleteZoneScale < 1.0) {
                 this.drawDraggedObjectsWithDeleteFeedback();
@@ -688,6 +1064,8 @@ class DrawingManager {
                 this.draggedStrokes.forEach(stroke => {
                     if (stroke.type === 'image-object') {
                         this.drawImageObject(stroke);
+                    } else if (stroke.type === 'text-object') {
+                        this.drawTextObject(stroke);
                     } else if (stroke.points && stroke.points.length > 1) {
                         this.drawStrokeSegment(stroke);
                     }
@@ -699,6 +1077,10 @@ class DrawingManager {
                 this.drawLassoSelection();
             }
             
+            if (this.isErasing && this.eraserPoint) {
+                this.drawEraser();
+            }
+            
             // Draw long-tap progress indicator on top of everything
             if (this.showLongTapProgress) {
                 this.drawLongTapProgress();
@@ -713,7 +1095,7 @@ class DrawingManager {
         let centerX = 0, centerY = 0, count = 0;
         
         this.draggedStrokes.forEach(stroke => {
-            if (stroke.type === 'image-object') {
+            if (isBoxObject(stroke)) {
                 centerX += stroke.position.x;
                 centerY += stroke.position.y;
                 count++;
@@ -742,6 +1124,8 @@ class DrawingManager {
         this.draggedStrokes.forEach(stroke => {
             if (stroke.type === 'image-object') {
                 this.drawImageObject(stroke);
+            } else if (stroke.type === 'text-object') {
+                this.drawTextObject(stroke);
             } else if (stroke.points && stroke.points.length > 1) {
                 this.drawStrokeSegment(stroke);
             }
@@ -750,14 +1134,16 @@ class DrawingManager {
         this.ctx.restore();
     }
     
-    findStrokeAtPoint(point) {
-        const tolerance = 20;
+    // Topmost stroke or image under the point, skipping any in `exclude`
+    findStrokeAtPoint(point, exclude = []) {
+        const tolerance = 20 / this.canvasManager.scale; // 20 screen pixels
         
         for (let i = this.strokes.length - 1; i >= 0; i--) {
             const stroke = this.strokes[i];
+            if (exclude.includes(stroke)) continue;
             
-            // Check image objects
-            if (stroke.type === 'image-object') {
+            // Check image and text objects by their box
+            if (isBoxObject(stroke)) {
                 const x = stroke.position.x - stroke.width / 2;
                 const y = stroke.position.y - stroke.height / 2;
                 
@@ -827,8 +1213,8 @@ class DrawingManager {
             // Check if any point of the stroke is inside the lasso polygon
             let isInside = false;
             
-            if (stroke.type === 'image-object') {
-                // For image objects, check if center is in lasso
+            if (isBoxObject(stroke)) {
+                // For image and text objects, check if center is in lasso
                 if (this.isPointInPolygon(stroke.position, lassoPoints)) {
                     isInside = true;
                 }
@@ -861,8 +1247,8 @@ class DrawingManager {
     }
     
     getStrokeBounds(stroke) {
-        // Handle image objects
-        if (stroke.type === 'image-object') {
+        // Handle image and text objects
+        if (isBoxObject(stroke)) {
             const x = stroke.position.x - stroke.width / 2;
             const y = stroke.position.y - stroke.height / 2;
             return {
@@ -896,6 +1282,31 @@ class DrawingManager {
         };
     }
     
+    // Bounding box around several strokes (world coordinates), or null if there is nothing to bound
+    getStrokesBounds(strokes) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        
+        strokes.forEach(stroke => {
+            if (!isBoxObject(stroke) && (!stroke.points || !stroke.points.length)) return;
+            
+            const bounds = this.getStrokeBounds(stroke);
+            minX = Math.min(minX, bounds.minX);
+            minY = Math.min(minY, bounds.minY);
+            maxX = Math.max(maxX, bounds.maxX);
+            maxY = Math.max(maxY, bounds.maxY);
+        });
+        
+        if (minX === Infinity) return null;
+        
+        return {
+            centerX: (minX + maxX) / 2,
+            centerY: (minY + maxY) / 2,
+            width: maxX - minX,
+            height: maxY - minY,
+            minX, maxX, minY, maxY
+        };
+    }
+    
     updateDebugDisplay(event) {
         const point = this.canvasManager.getPointFromEvent(event);
         
@@ -906,13 +1317,110 @@ class DrawingManager {
         this.penTiltY.textContent = (event.tiltY || 0).toFixed(1);
     }
     
-    clearCanvas() {
-        this.strokes = [];
+    loadStrokes(strokes) {
+        // Results of AI requests still running for the previous board are dropped
+        this.getPendingTransactions().forEach(transaction => transaction.cancel());
+        this.aiGenerator.variationSheet.finish(null);
+        
+        this.strokes = strokes;
         this.currentStroke = null;
-        // Clear and redraw with dot pattern
+        this.clearAllSelections();
+        
+        // Start a fresh history for the loaded board
+        this.history.clear();
         this.redraw();
-        // Save state for undo
-        this.undoManager.save();
+    }
+    
+    setStyle(style) {
+        this.style = style;
+        
+        // The style is saved with the board
+        if (this.onStrokesChange) {
+            this.onStrokesChange();
+        }
+        if (this.onStyleChange) {
+            this.onStyleChange();
+        }
+    }
+    
+    // What autosave and board export write. The sketches (and combined source images) of
+    // running AI requests are put back where they were, so a reload mid-request does not lose them.
+    getSerializableStrokes() {
+        const strokes = [...this.strokes];
+        
+        // Latest request first, the way undoing them would
+        this.getPendingTransactions().reverse().forEach(transaction => {
+            if (transaction.addImage) {
+                const index = strokes.indexOf(transaction.image);
+                if (index > -1) strokes.splice(index, 1);
+            }
+            transaction.removeStrokes.removed.forEach(({ stroke, index }) => {
+                strokes.splice(Math.min(index, strokes.length), 0, stroke);
+            });
+        });
+        return this.withoutEmptyPlaceholders(strokes);
+    }
+    
+    // What image export draws: the board as it is on screen
+    getExportableStrokes() {
+        return this.withoutEmptyPlaceholders(this.strokes);
+    }
+    
+    // Skip placeholders that never received an image
+    withoutEmptyPlaceholders(strokes) {
+        return strokes.filter(stroke => !(stroke.type === 'image-object' && !stroke.imageData));
+    }
+    
+    getPendingTransactions() {
+        return this.history.entries.filter(command => command instanceof AITransactionCommand && command.isPending());
+    }
+    
+    clearCanvas() {
+        this.currentStroke = null;
+        // Remove everything through the history so clear can be undone
+        this.history.execute(new DeleteStrokesCommand(this, [...this.strokes], 'clear'));
+        this.clearAllSelections();
+    }
+    
+    undo() {
+        if (this.history.undo()) {
+            this.clearAllSelections();
+        }
+    }
+    
+    redo() {
+        if (this.history.redo()) {
+            this.clearAllSelections();
+        }
+    }
+    
+    // Jump straight to any state in the history (0 = as opened)
+    goToHistory(index) {
+        this.history.goTo(index);
+        this.clearAllSelections();
+    }
+    
+    getHistory() {
+        const start = {
+            index: 0,
+            label: 'open board',
+            time: null,
+            current: this.history.position === 0
+        };
+        return [start, ...this.history.entries.map((command, i) => ({
+            index: i + 1,
+            label: command.label,
+            time: command.time,
+            current: this.history.position === i + 1
+        }))];
+    }
+    
+    canUndo() {
+        return this.history.canUndo();
+    }
+    
+    canRedo() {
+        return this.history.canRedo();
     }
     
     showDropZone() {
@@ -934,9 +1442,10 @@ class DrawingManager {
     checkDropZoneHover(point) {
         const canvasRect = this.canvas.getBoundingClientRect();
         
-        // Convert canvas coordinates to screen coordinates
-        const screenX = point.x + canvasRect.left;
-        const screenY = point.y + canvasRect.top;
+        // Convert world coordinates to screen coordinates
+        const canvasPoint = this.canvasManager.worldToScreen(point);
+        const screenX = canvasPoint.x + canvasRect.left;
+        const screenY = canvasPoint.y + canvasRect.top;
         
         // Calculate distance from drag point to top-right corner
         const cornerX = canvasRect.left + canvasRect.width;
@@ -982,9 +1491,10 @@ class DrawingManager {
     
     checkDeleteZoneHover(point) {
         const canvasHeight = this.canvas.height;
-        const deleteZoneThreshold = canvasHeight * 0.9; // Bottom 10%
+        const deleteZoneThreshold = canvasHeight * 0.9; // Bottom 10% of the screen
+        const screenPoint = this.canvasManager.worldToScreen(point);
         
-        if (point.y >= deleteZoneThreshold) {
+        if (screenPoint.y >= deleteZoneThreshold) {
             if (!this.isOverDeleteZone) {
                 this.isOverDeleteZone = true;
                 this.deleteZoneTargetScale = 0.5; // Scale down to 50%
@@ -1016,17 +1526,26 @@ class DrawingManager {
     }
     
     async handleDropZoneDrop() {
-        await this.aiGenerator.processDrawing(this, this.draggedStrokes);
+        // Put the strokes back where they were drawn; the AI operation removes them
+        // as part of its own history entry
+        const strokes = [...this.draggedStrokes];
+        const moveCommand = this.getDragMoveCommand();
+        if (moveCommand) {
+            moveCommand.undo();
+        }
+        this.dragStartPoint = null;
+        this.clearAllSelections();
+        
+        await this.aiGenerator.processDrawing(this, strokes);
     }
     
     handleDeleteZoneDrop() {
-        // Remove dragged strokes from canvas
-        this.draggedStrokes.forEach(stroke => {
-            const index = this.strokes.indexOf(stroke);
-            if (index > -1) {
-                this.strokes.splice(index, 1);
-            }
-        });
+        // Remove dragged strokes from canvas; undo also puts them back where the drag started
+        const deleteCommand = new DeleteStrokesCommand(this, [...this.draggedStrokes]);
+        deleteCommand.redo();
+        const moveCommand = this.getDragMoveCommand();
+        this.history.record(moveCommand ? new CompositeCommand('delete', [moveCommand, deleteCommand]) : deleteCommand);
+        this.dragStartPoint = null;
         
         // Log the deletion
         if (window.toastManager) {
@@ -1037,9 +1556,6 @@ class DrawingManager {
         this.clearAllSelections();
         this.draggedStrokes = [];
         this.selectedStroke = null;
-        
-        // Save state for undo
-        this.undoManager.save();
         this.redraw();
     }
     
@@ -1077,6 +1593,10 @@ class DrawingManager {
             this.scaleStartDistance = distance;
             this.scaleTarget = target;
             
+            // Remember the geometry of everything that will be scaled, for undo
+            this.scaledStrokes = target.type === 'image-object' ? [target] : this.strokes.filter(stroke => stroke.selected);
+            this.scaleStartGeometry = this.scaledStrokes.map(captureGeometry);
+            
             if (target.type === 'image-object') {
                 this.scaleStartWidth = target.width;
                 this.scaleStartHeight = target.height;
@@ -1124,7 +1644,18 @@ class DrawingManager {
         if (this.isScaling) {
             this.isScaling = false;
             this.scaleTarget = null;
-            this.undoManager.save(); // Save state after scaling
+            
+            // Record the scale as one command, unless it changed nothing (a two-finger tap)
+            const geometry = this.scaledStrokes.map(captureGeometry);
+            if (this.scaledStrokes.length > 0 && !isSameGeometry(this.scaleStartGeometry, geometry)) {
+                this.history.record(new TransformStrokesCommand(
+                    this.scaledStrokes,
+                    this.scaleStartGeometry,
+                    geometry
+                ));
+            }
+            this.scaledStrokes = [];
+            this.scaleStartGeometry = [];
         }
     }
     
@@ -1134,7 +1665,7 @@ class DrawingManager {
         
         this.strokes.forEach(stroke => {
             if (stroke.selected) {
-                if (stroke.type === 'image-object') {
+                if (isBoxObject(stroke)) {
                     centerX += stroke.position.x;
                     centerY += stroke.position.y;
                     count++;
@@ -1166,6 +1697,10 @@ class DrawingManager {
                     
                     stroke.width = Math.max(minSize, Math.min(maxSize, newWidth));
                     stroke.height = Math.max(minSize, Math.min(maxSize, newHeight));
+                } else if (stroke.type === 'text-object') {
+                    // Scale text through its font size; the box follows
+                    stroke.fontSize = Math.max(8, Math.min(400, stroke.fontSize * scaleFactor));
+                    Object.assign(stroke, measureText(stroke.text, stroke.fontSize));
                 } else if (stroke.points) {
                     // Scale stroke points
                     stroke.points = stroke.points.map(point => ({
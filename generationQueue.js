@@ -0,0 +1,124 @@
+// Central queue for AI requests
+// Caps how many requests run at once, keeps each placeholder's job status up to date
+// and drives one shared redraw loop while any placeholder is animating.
+class GenerationQueue {
+    constructor(options = {}) {
+        this.maxConcurrent = options.maxConcurrent || 2;
+        this.statusDisplayTime = options.statusDisplayTime || 1500; // How long done/failed badges stay up
+        this.pending = [];
+        this.running = new Set();
+        this.animated = new Set();
+        this.animationFrame = null;
+    }
+
+    // Queue task(signal) and resolve with its result. `image` is the placeholder that shows
+    // the job status and `redraw` repaints the board it is on; both are optional.
+    add(task, { signal = null, image = null, redraw = null } = {}) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            const job = { task, signal, image, redraw, resolve, reject, onAbort: null };
+            if (signal) {
+                job.onAbort = () => this.removePending(job);
+                signal.addEventListener('abort', job.onAbort, { once: true });
+            }
+
+            this.pending.push(job);
+            this.setStatus(job, 'pending');
+            this.startAnimation(job);
+            this.next();
+        });
+    }
+
+    next() {
+        while (this.running.size < this.maxConcurrent && this.pending.length > 0) {
+            this.start(this.pending.shift());
+        }
+        this.updateQueuePositions();
+    }
+
+    async start(job) {
+        this.running.add(job);
+        this.setStatus(job, 'running');
+
+        try {
+            const result = await job.task(job.signal);
+            this.setStatus(job, 'done');
+            job.resolve(result);
+        } catch (error) {
+            this.setStatus(job, error.name === 'AbortError' ? 'cancelled' : 'failed');
+            job.reject(error);
+        } finally {
+            // Long-lived controllers must not keep finished jobs alive
+            this.removeAbortListener(job);
+            this.running.delete(job);
+            this.next();
+        }
+    }
+
+    removeAbortListener(job) {
+        if (job.onAbort) {
+            job.signal.removeEventListener('abort', job.onAbort);
+            job.onAbort = null;
+        }
+    }
+
+    // A queued job that is aborted never starts; running jobs are stopped by their fetch
+    removePending(job) {
+        const index = this.pending.indexOf(job);
+        if (index === -1) return;
+
+        this.pending.splice(index, 1);
+        this.setStatus(job, 'cancelled');
+        job.reject(job.signal.reason);
+        this.updateQueuePositions();
+    }
+
+    setStatus(job, status) {
+        if (!job.image) return;
+        job.image.jobStatus = status;
+        job.image.jobStatusTime = Date.now();
+    }
+
+    updateQueuePositions() {
+        this.pending.forEach((job, index) => {
+            if (job.image) {
+                job.image.queuePosition = index + 1;
+            }
+        });
+    }
+
+    // One requestAnimationFrame loop for every placeholder, stopped when nothing is animating
+    startAnimation(job) {
+        if (!job.image || !job.redraw) return;
+
+        this.animated.add(job);
+        if (this.animationFrame) return;
+
+        const animate = () => {
+            const now = Date.now();
+            const redraws = new Set();
+
+            this.animated.forEach(animatedJob => {
+                // Redraw once more after a job stops animating so its badge is cleared
+                redraws.add(animatedJob.redraw);
+                if (!this.isAnimating(animatedJob.image, now)) {
+                    this.animated.delete(animatedJob);
+                }
+            });
+            redraws.forEach(redraw => redraw());
+
+            this.animationFrame = this.animated.size > 0 ? requestAnimationFrame(animate) : null;
+        };
+        this.animationFrame = requestAnimationFrame(animate);
+    }
+
+    isAnimating(image, now) {
+        return image.isGenerating || now - image.jobStatusTime < this.statusDisplayTime;
+    }
+}
+
+export { GenerationQueue };
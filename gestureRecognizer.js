@@ -0,0 +1,363 @@
+// Local pen gesture recognition, no API round-trip.
+// Uses the $P point-cloud recognizer (Vatavu, Anthony & Wobbrock 2012): a gesture and
+// each template are resampled into a cloud of points and compared without regard to
+// stroke order or direction. Templates only match gestures with the same stroke count.
+
+const SAMPLE_POINTS = 32;
+
+// Template strokes are point lists in any coordinate range; they are normalized like input.
+// Templates that map to no command (e.g. 'plus') keep look-alike drawings from matching.
+const GESTURE_TEMPLATES = [
+    { name: 'x', strokes: [[{ x: 0, y: 0 }, { x: 1, y: 1 }], [{ x: 1, y: 0 }, { x: 0, y: 1 }]] },
+    { name: 'x', strokes: [[{ x: 0, y: 0 }, { x: 0.6, y: 1 }], [{ x: 0.6, y: 0 }, { x: 0, y: 1 }]] },
+    { name: 'x', strokes: [[{ x: 0, y: 0 }, { x: 1, y: 0.6 }], [{ x: 1, y: 0 }, { x: 0, y: 0.6 }]] },
+    { name: 'plus', strokes: [[{ x: 0.5, y: 0 }, { x: 0.5, y: 1 }], [{ x: 0, y: 0.5 }, { x: 1, y: 0.5 }]] }
+];
+
+class GestureRecognizer {
+    constructor({ templates = GESTURE_TEMPLATES, minScore = 0.4 } = {}) {
+        this.minScore = minScore;
+        this.templates = [];
+        templates.forEach(template => this.addTemplate(template.name, template.strokes));
+    }
+
+    addTemplate(name, strokes) {
+        this.templates.push({
+            name: name,
+            strokeCount: strokes.length,
+            points: normalize(toCloud(strokes))
+        });
+    }
+
+    // strokes: arrays of { x, y } points. Resolves the best match as { name, score }
+    // (score 0-1), or null when nothing matches closely enough.
+    recognize(strokes) {
+        const candidates = this.templates.filter(template => template.strokeCount === strokes.length);
+        if (candidates.length === 0) return null;
+
+        const points = normalize(toCloud(strokes));
+        if (!points) return null;
+
+        let best = null;
+        let bestDistance = Infinity;
+        candidates.forEach(template => {
+            const distance = greedyCloudMatch(points, template.points);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = template;
+            }
+        });
+
+        const score = Math.max((2 - bestDistance) / 2, 0);
+        return score >= this.minScore ? { name: best.name, score } : null;
+    }
+}
+
+// Flatten strokes into one list of points tagged with their stroke id
+function toCloud(strokes) {
+    const points = [];
+    strokes.forEach((stroke, id) => {
+        stroke.forEach(point => points.push({ x: point.x, y: point.y, id }));
+    });
+    return points;
+}
+
+function normalize(points) {
+    if (points.length === 0) return null;
+    return translateToOrigin(scale(resample(points, SAMPLE_POINTS)));
+}
+
+function distance(a, b) {
+    return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+// Spread n points evenly along the strokes, each stroke getting a share matching its
+// length and keeping both of its ends. (Plain $P resamples across stroke boundaries,
+// which makes the cloud depend on stroke order and direction.)
+function resample(points, n) {
+    const strokes = [];
+    points.forEach(point => {
+        if (strokes.length === 0 || strokes[strokes.length - 1][0].id !== point.id) {
+            strokes.push([]);
+        }
+        strokes[strokes.length - 1].push(point);
+    });
+
+    const lengths = strokes.map(polylineLength);
+    const total = lengths.reduce((sum, length) => sum + length, 0);
+
+    // A tap (no length) is a cloud of n identical points
+    if (total === 0) {
+        return Array.from({ length: n }, () => ({ ...points[0] }));
+    }
+
+    const resampled = [];
+    let remaining = n;
+    strokes.forEach((stroke, index) => {
+        const isLast = index === strokes.length - 1;
+        const count = isLast
+            ? remaining
+            : Math.max(1, Math.min(remaining - (strokes.length - index - 1), Math.round(n * lengths[index] / total)));
+        remaining -= count;
+        resampled.push(...resampleStroke(stroke, lengths[index], count));
+    });
+    return resampled;
+}
+
+function resampleStroke(stroke, length, count) {
+    if (count === 1 || length === 0) {
+        return Array.from({ length: count }, () => ({ ...stroke[0] }));
+    }
+
+    const interval = length / (count - 1);
+    const resampled = [{ ...stroke[0] }];
+    let target = interval;
+    let offset = 0;
+    for (let i = 1; i < stroke.length && resampled.length < count - 1; i++) {
+        const d = distance(stroke[i - 1], stroke[i]);
+        while (d > 0 && offset + d >= target && resampled.length < count - 1) {
+            const t = (target - offset) / d;
+            resampled.push({
+                x: stroke[i - 1].x + t * (stroke[i].x - stroke[i - 1].x),
+                y: stroke[i - 1].y + t * (stroke[i].y - stroke[i - 1].y),
+                id: stroke[i].id
+            });
+            target += interval;
+        }
+        offset += d;
+    }
+    resampled.push({ ...stroke[stroke.length - 1] });
+    return resampled;
+}
+
+// Uniform scale into the unit square, keeping the aspect ratio
+function scale(points) {
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const size = Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY) || 1;
+    return points.map(point => ({ x: (point.x - minX) / size, y: (point.y - minY) / size, id: point.id }));
+}
+
+function translateToOrigin(points) {
+    const cx = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+    const cy = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+    return points.map(point => ({ x: point.x - cx, y: point.y - cy, id: point.id }));
+}
+
+function greedyCloudMatch(points, template) {
+    const step = Math.floor(Math.pow(points.length, 0.5));
+    let min = Infinity;
+    for (let i = 0; i < points.length; i += step) {
+        min = Math.min(min, cloudDistance(points, template, i), cloudDistance(template, points, i));
+    }
+    return min;
+}
+
+// Greedily pair each point with its nearest unmatched partner, starting at `start`;
+// earlier pairs weigh more
+function cloudDistance(points, template, start) {
+    const matched = new Array(template.length).fill(false);
+    let sum = 0;
+    let i = start;
+    do {
+        let nearest = -1;
+        let min = Infinity;
+        matched.forEach((isMatched, j) => {
+            if (isMatched) return;
+            const d = distance(points[i], template[j]);
+            if (d < min) {
+                min = d;
+                nearest = j;
+            }
+        });
+        matched[nearest] = true;
+        const weight = 1 - ((i - start + points.length) % points.length) / points.length;
+        sum += weight * min;
+        i = (i + 1) % points.length;
+    } while (i !== start);
+    return sum;
+}
+
+// Geometry helpers for checking what a gesture touches
+
+// Where segment a1-a2 crosses segment b1-b2, as fractions along each ({ t, u }), or null
+function segmentIntersection(a1, a2, b1, b2) {
+    const denominator = (a2.x - a1.x) * (b2.y - b1.y) - (a2.y - a1.y) * (b2.x - b1.x);
+    if (denominator === 0) return null;
+
+    const t = ((b1.x - a1.x) * (b2.y - b1.y) - (b1.y - a1.y) * (b2.x - b1.x)) / denominator;
+    const u = ((b1.x - a1.x) * (a2.y - a1.y) - (b1.y - a1.y) * (a2.x - a1.x)) / denominator;
+    return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? { t, u } : null;
+}
+
+// Where two polylines cross, as fractions of each one's length ({ t, u }), or null
+function findCrossing(pointsA, pointsB) {
+    const lengthA = polylineLength(pointsA);
+    const lengthB = polylineLength(pointsB);
+    let offsetA = 0;
+    for (let i = 1; i < pointsA.length; i++) {
+        const segmentA = distance(pointsA[i - 1], pointsA[i]);
+        let offsetB = 0;
+        for (let j = 1; j < pointsB.length; j++) {
+            const segmentB = distance(pointsB[j - 1], pointsB[j]);
+            const hit = segmentIntersection(pointsA[i - 1], pointsA[i], pointsB[j - 1], pointsB[j]);
+            if (hit) {
+                return {
+                    t: (offsetA + hit.t * segmentA) / (lengthA || 1),
+                    u: (offsetB + hit.u * segmentB) / (lengthB || 1)
+                };
+            }
+            offsetB += segmentB;
+        }
+        offsetA += segmentA;
+    }
+    return null;
+}
+
+function polylineLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+        length += distance(points[i - 1], points[i]);
+    }
+    return length;
+}
+
+// Close to a straight line: the drawn path is barely longer than the distance it covers
+function isStraight(points, tolerance = 1.25) {
+    if (points.length < 2) return false;
+    const span = distance(points[0], points[points.length - 1]);
+    return span > 0 && polylineLength(points) / span <= tolerance;
+}
+
+// Outline checks for gestures that are told apart by geometry rather than by template,
+// because they can be drawn at any size, aspect ratio or direction
+
+// A loop: ends close to where it started and is round rather than a thin back-and-forth scribble
+function isClosedLoop(points) {
+    if (points.length < 8) return false;
+
+    const length = polylineLength(points);
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    const thickness = Math.min(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+    const gap = distance(points[0], points[points.length - 1]);
+    return gap <= Math.max(20, length * 0.15) && thickness >= length * 0.15;
+}
+
+// A straight line at least minLength long within maxAngle degrees of horizontal, drawn in
+// either direction
+function isStrikeLine(points, minLength, maxAngle = 20) {
+    if (!isStraight(points, 1.15) || polylineLength(points) < minLength) return false;
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    const angle = Math.abs(Math.atan2(last.y - first.y, last.x - first.x) * 180 / Math.PI);
+    return angle <= maxAngle || angle >= 180 - maxAngle;
+}
+
+// Whether a strike line strikes out what it crosses (crossed: the crossed strokes' points,
+// bounds: their bounding box). A strike-through runs the whole width of something wider than
+// tall, through its middle. That rules out ordinary drawing that crosses ink: the bar of a
+// "t" or "+" (the stem is taller than wide) and a diameter or divider drawn inside a loop.
+function isStrikeThrough(points, bounds, crossed, tolerance = 0) {
+    const width = bounds.maxX - bounds.minX;
+    const height = bounds.maxY - bounds.minY;
+    if (width < height * 1.2) return false;
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    const [left, right] = first.x < last.x ? [first, last] : [last, first];
+    if (left.x > bounds.minX + width * 0.1 || right.x < bounds.maxX - width * 0.1) return false;
+
+    // Height of the line where it passes the middle
+    const t = right.x === left.x ? 0.5 : (bounds.centerX - left.x) / (right.x - left.x);
+    const y = left.y + (right.y - left.y) * t;
+    if (Math.abs(y - bounds.centerY) > Math.max(height * 0.3, tolerance)) return false;
+
+    return !crossed.some(stroke => {
+        if (!isClosedLoop(stroke)) return false;
+        const xs = stroke.map(point => point.x);
+        return left.x >= Math.min(...xs) - tolerance && right.x <= Math.max(...xs) + tolerance;
+    });
+}
+
+// An arrow, as one stroke (shaft ending in a barb that turns back) or two (shaft, then a
+// V-shaped head at one end). Returns { tail, tip } or null. minLength is the shortest shaft.
+function findArrow(strokes, minLength) {
+    if (strokes.length === 1) {
+        return findOneStrokeArrow(strokes[0], minLength);
+    }
+    if (strokes.length === 2) {
+        return findTwoStrokeArrow(strokes[0], strokes[1], minLength);
+    }
+    return null;
+}
+
+function findOneStrokeArrow(points, minLength) {
+    const start = points[0];
+
+    // The tip is where the stroke gets farthest from its start
+    let tipIndex = 0;
+    points.forEach((point, i) => {
+        if (distance(start, point) > distance(start, points[tipIndex])) tipIndex = i;
+    });
+    const tip = points[tipIndex];
+    const length = distance(start, tip);
+    const shaft = points.slice(0, tipIndex + 1);
+    const barb = points.slice(tipIndex);
+    if (length < minLength || !isStraight(shaft, 1.2) || barb.length < 2) return null;
+
+    const barbLength = polylineLength(barb);
+    if (barbLength < length * 0.1 || barbLength > length * 0.6) return null;
+
+    // The barb has to point back along the shaft
+    const barbEnd = barb.reduce((far, point) => distance(tip, point) > distance(tip, far) ? point : far, tip);
+    return pointsBack(start, tip, barbEnd) ? { tail: start, tip } : null;
+}
+
+function findTwoStrokeArrow(shaft, head, minLength) {
+    const ends = [shaft[0], shaft[shaft.length - 1]];
+    const length = distance(ends[0], ends[1]);
+    if (length < minLength || !isStraight(shaft, 1.2)) return null;
+
+    const headLength = polylineLength(head);
+    if (headLength < length * 0.1 || headLength > length * 0.8 || isStraight(head, 1.1)) return null;
+
+    // The head's corner sits on one end of the shaft, which makes that end the tip
+    const tipEnd = ends.map(end => ({
+        end,
+        apex: head.reduce((near, point) => distance(end, point) < distance(end, near) ? point : near, head[0])
+    })).sort((a, b) => distance(a.end, a.apex) - distance(b.end, b.apex))[0];
+    const tip = tipEnd.end;
+    const tail = tip === ends[0] ? ends[1] : ends[0];
+    if (distance(tip, tipEnd.apex) > Math.max(20, length * 0.25)) return null;
+
+    // Both ends of the V trail behind the tip
+    const headEnds = [head[0], head[head.length - 1]];
+    return headEnds.every(end => pointsBack(tail, tip, end)) ? { tail, tip } : null;
+}
+
+// Whether `point` lies back from `tip` along the tail-to-tip direction
+function pointsBack(tail, tip, point) {
+    const shaftX = tip.x - tail.x;
+    const shaftY = tip.y - tail.y;
+    const backX = point.x - tip.x;
+    const backY = point.y - tip.y;
+    const norm = Math.hypot(shaftX, shaftY) * Math.hypot(backX, backY);
+    return norm > 0 && (shaftX * backX + shaftY * backY) / norm < -0.3;
+}
+
+export {
+    GestureRecognizer,
+    GESTURE_TEMPLATES,
+    segmentIntersection,
+    findCrossing,
+    polylineLength,
+    isStraight,
+    isClosedLoop,
+    isStrikeLine,
+    isStrikeThrough,
+    findArrow
+};
@@ -0,0 +1,83 @@
+// Undo/redo toolbar buttons and the history panel
+class HistoryPanel {
+    constructor(drawingManager) {
+        this.drawingManager = drawingManager;
+
+        this.undoButton = document.getElementById('undoButton');
+        this.redoButton = document.getElementById('redoButton');
+        this.panel = document.getElementById('historyPanel');
+        this.historyList = document.getElementById('historyList');
+
+        this.setupEventListeners();
+        this.update();
+    }
+
+    setupEventListeners() {
+        this.undoButton.addEventListener('click', () => this.drawingManager.undo());
+        this.redoButton.addEventListener('click', () => this.drawingManager.redo());
+        document.getElementById('historyButton').addEventListener('click', () => this.togglePanel());
+        document.getElementById('dismissHistory').addEventListener('click', () => this.hidePanel());
+
+        this.drawingManager.historyListeners.push(() => this.update());
+    }
+
+    update() {
+        this.undoButton.disabled = !this.drawingManager.canUndo();
+        this.redoButton.disabled = !this.drawingManager.canRedo();
+
+        if (this.panel.classList.contains('panel-visible')) {
+            this.renderHistory();
+        }
+    }
+
+    renderHistory() {
+        this.historyList.innerHTML = '';
+
+        let isFuture = false;
+        this.drawingManager.getHistory().forEach(entry => {
+            const item = document.createElement('button');
+            item.className = 'history-item';
+            if (entry.current) item.classList.add('current');
+            if (isFuture) item.classList.add('future');
+
+            const label = document.createElement('span');
+            label.className = 'history-label';
+            label.textContent = entry.label;
+            item.appendChild(label);
+
+            if (entry.time) {
+                const time = document.createElement('span');
+                time.className = 'history-time';
+                time.textContent = new Date(entry.time).toLocaleTimeString();
+                item.appendChild(time);
+            }
+
+            item.onclick = () => this.drawingManager.goToHistory(entry.index);
+            this.historyList.appendChild(item);
+
+            // Entries after the current one can be reached with redo
+            if (entry.current) isFuture = true;
+        });
+    }
+
+    togglePanel() {
+        if (this.panel.classList.contains('panel-visible')) {
+            this.hidePanel();
+        } else {
+            this.showPanel();
+        }
+    }
+
+    showPanel() {
+        this.panel.classList.remove('panel-hidden');
+        this.panel.classList.add('panel-visible');
+        this.renderHistory();
+    }
+
+    hidePanel() {
+        this.panel.classList.remove('panel-visible');
+        this.panel.classList.add('panel-hidden');
+    }
+}
+
+export { HistoryPanel };
@@ -1,90 +1,65 @@
-// Image Generation Module using new OpenAI API
+import { createImageProvider } from './imageProviders.js';
+
+// Image Generation Module - delegates to the configured image provider
 class ImageGenerator {
-    constructor(apiKey) {
+    constructor(apiKey, providerConfig = {}) {
         this.apiKey = apiKey;
+        this.provider = createImageProvider({ apiKey, ...providerConfig });
     }
     
-    async generateImage(prompt, onPartialImage, onComplete, sketchImageData = null) {
+    // options: { sketchImageData, sketchStrength, signal, size, n }
+    // The sketch (a PNG data URL) conditions the result unless sketchStrength is 0.
+    // onComplete receives the first image and the array of all n results.
+    async generateImage(prompt, onPartialImage, onComplete, options = {}) {
         try {
-            // Use GPT Image 1 for fastest generation with lowest quality
-            const response = await fetch('https://api.openai.com/v1/images/generations', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: 'gpt-image-1',
-                    prompt: prompt,
-                    size: '1024x1024',
-                    quality: 'low',
-                    n: 1
-                })
-            });
-
-            if (!response.ok) {
-                throw new Error(`Image generation failed: ${response.status} ${response.statusText}`);
-            }
-
-            const result = await response.json();
+            const sketchStrength = options.sketchStrength === undefined ? 0.5 : options.sketchStrength;
+            const sketchImage = options.sketchImageData && sketchStrength > 0
+                ? this.base64ToBlob(options.sketchImageData.replace(/^data:image\/\w+;base64,/, ''))
+                : null;
             
-            // Extract image data from response (GPT Image 1 format)
-            if (result.data && result.data.length > 0) {
-                const imageBase64 = result.data[0].b64_json;
-                onComplete(imageBase64);
-            } else {
-                throw new Error('No image generated');
-            }
+            const images = await this.provider.generate({
+                prompt: prompt,
+                size: options.size || '1024x1024',
+                n: options.n || 1,
+                sketchImage: sketchImage,
+                sketchStrength: sketchStrength,
+                signal: options.signal || null,
+                onPartialImage: onPartialImage
+            });
+            onComplete(images[0], images);
         } catch (error) {
             console.error('Image generation error:', error);
             throw error;
         }
     }
     
-    async editImage(images, prompt, onPartialImage, onComplete) {
+    // options: { signal, size, mask, n }
+    async editImage(images, prompt, onPartialImage, onComplete, options = {}) {
         try {
-            // Use GPT Image 1 for image editing with smallest size and lowest quality
-            const formData = new FormData();
-            formData.append('model', 'gpt-image-1');
-            formData.append('prompt', prompt);
-            formData.append('size', '1024x1024');
-            formData.append('quality', 'low');
-            formData.append('n', '1');
-            
-            // Add only the first image (edits endpoint expects single 'image' parameter)
-            if (images.length > 0) {
-                formData.append('image', images[0], 'image.png');
-            } else {
-                throw new Error('No image provided for editing');
-            }
-            
-            const response = await fetch('https://api.openai.com/v1/images/edits', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`
-                },
-                body: formData
+            const results = await this.provider.edit({
+                images: images,
+                prompt: prompt,
+                size: options.size || '1024x1024',
+                n: options.n || 1,
+                mask: options.mask || null,
+                signal: options.signal || null,
+                onPartialImage: onPartialImage
             });
-
-            if (!response.ok) {
-                throw new Error(`Image edit failed: ${response.status} ${response.statusText}`);
-            }
-
-            const result = await response.json();
-            
-            // Extract image data from response (GPT Image 1 format)
-            if (result.data && result.data.length > 0) {
-                const imageBase64 = result.data[0].b64_json;
-                onComplete(imageBase64);
-            } else {
-                throw new Error('No image generated');
-            }
+            onComplete(results[0], results);
         } catch (error) {
             console.error('Image edit error:', error);
             throw error;
         }
     }
     
+    // Closest output size the image models support for a box of this shape
+    getSizeForAspect(width, height) {
+        const aspectRatio = width / height;
+        if (aspectRatio > 1.25) return '1536x1024';
+        if (aspectRatio < 0.8) return '1024x1536';
+        return '1024x1024';
+    }
+    
     // Helper method to convert base64 to blob
     base64ToBlob(base64) {
         const byteCharacters = atob(base64);
@@ -0,0 +1,136 @@
+import { getLineWidth as getStrokeWidth } from './strokeStyle.js';
+
+// Inpainting masks built from the sketch strokes drawn over an image
+// A mask is a PNG at the image's pixel size: opaque where the picture must stay and
+// fully transparent where the user scribbled (the OpenAI edits convention).
+
+// Same width as the canvas draws, but never thinner than 2
+function getLineWidth(stroke, index) {
+    return getStrokeWidth(stroke, index, 2);
+}
+
+function getImageRect(imageObj) {
+    return {
+        x: imageObj.position.x - imageObj.width / 2,
+        y: imageObj.position.y - imageObj.height / 2,
+        width: imageObj.width,
+        height: imageObj.height
+    };
+}
+
+// Pen strokes with at least one point over the image
+function getStrokesOverImage(imageObj, strokes) {
+    const rect = getImageRect(imageObj);
+    return strokes.filter(stroke =>
+        stroke.type !== 'image-object' && stroke.points && stroke.points.some(point =>
+            point.x >= rect.x && point.x <= rect.x + rect.width &&
+            point.y >= rect.y && point.y <= rect.y + rect.height
+        )
+    );
+}
+
+// A stroke that ends near where it started circles an area, which is edited as a whole
+function isClosedStroke(stroke) {
+    if (stroke.points.length < 8) return false;
+
+    const xs = stroke.points.map(point => point.x);
+    const ys = stroke.points.map(point => point.y);
+    const diagonal = Math.hypot(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+    const first = stroke.points[0];
+    const last = stroke.points[stroke.points.length - 1];
+    return Math.hypot(last.x - first.x, last.y - first.y) < Math.max(30, diagonal * 0.2);
+}
+
+function loadImageSize(imageData) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve({ width: img.naturalWidth, height: img.naturalHeight });
+        img.onerror = () => reject(new Error('Failed to load image for masking'));
+        img.src = `data:image/png;base64,${imageData}`;
+    });
+}
+
+// Resolves with the mask as a PNG Blob, or null when no stroke touches the image.
+// Each stroke is dilated by its own width on both sides so the edit covers a little
+// more than the pen line itself.
+async function buildEditMask(imageObj, strokes, { dilation = 1 } = {}) {
+    const overlapping = getStrokesOverImage(imageObj, strokes);
+    if (overlapping.length === 0) return null;
+
+    const size = await loadImageSize(imageObj.imageData);
+    const rect = getImageRect(imageObj);
+    const scaleX = size.width / rect.width;
+    const scaleY = size.height / rect.height;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = size.width;
+    canvas.height = size.height;
+    const ctx = canvas.getContext('2d');
+
+    // Keep everything, then cut the scribbled areas out
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, size.width, size.height);
+    ctx.globalCompositeOperation = 'destination-out';
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    // Canvas (world) coordinates to image pixels
+    ctx.scale(scaleX, scaleY);
+    ctx.translate(-rect.x, -rect.y);
+
+    overlapping.forEach(stroke => {
+        if (stroke.points.length === 1) {
+            const point = stroke.points[0];
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, getLineWidth(stroke, 0) * (0.5 + dilation), 0, Math.PI * 2);
+            ctx.fill();
+            return;
+        }
+
+        for (let i = 1; i < stroke.points.length; i++) {
+            ctx.lineWidth = getLineWidth(stroke, i) * (1 + dilation * 2);
+            ctx.beginPath();
+            ctx.moveTo(stroke.points[i - 1].x, stroke.points[i - 1].y);
+            ctx.lineTo(stroke.points[i].x, stroke.points[i].y);
+            ctx.stroke();
+        }
+
+        if (isClosedStroke(stroke)) {
+            ctx.beginPath();
+            stroke.points.forEach((point, i) => {
+                if (i === 0) {
+                    ctx.moveTo(point.x, point.y);
+                } else {
+                    ctx.lineTo(point.x, point.y);
+                }
+            });
+            ctx.closePath();
+            ctx.fill();
+        }
+    });
+
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
+
+// Turn a mask into the white-on-black form Stable Diffusion style inpainting expects
+// (white = repaint, black = keep)
+async function toInpaintMask(maskBlob) {
+    const bitmap = await createImageBitmap(maskBlob);
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    // Paint black wherever the mask is opaque (kept)
+    ctx.globalCompositeOperation = 'destination-out';
+    ctx.drawImage(bitmap, 0, 0);
+    ctx.globalCompositeOperation = 'destination-over';
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
+
+export { buildEditMask, getStrokesOverImage, toInpaintMask };
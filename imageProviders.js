@@ -0,0 +1,604 @@
+import { toInpaintMask } from './imageMask.js';
+
+// Image provider backends used by ImageGenerator
+// Every provider exposes generate() and edit() and resolves with an array of base64 PNG strings.
+// Both accept an AbortSignal as `signal`; aborting rejects with an AbortError.
+// Providers that can preview an image while it renders call onPartialImage(base64, frameIndex).
+// generate() also takes an optional sketchImage (PNG Blob) with a sketchStrength from 0 to 1:
+// how closely the result should follow the drawn layout. edit() takes an optional mask
+// (PNG Blob the size of the first image, transparent where the picture may change).
+
+class OpenAIImageProvider {
+    constructor(config = {}) {
+        this.apiKey = config.apiKey;
+        this.baseUrl = config.baseUrl || 'https://api.openai.com';
+        this.model = config.model || 'gpt-image-1';
+        this.quality = config.quality || 'low';
+        this.stream = config.stream !== false;
+        this.partialImages = config.partialImages === undefined ? 2 : config.partialImages; // 0-3
+    }
+
+    // Streaming returns a single image, so batches fall back to a plain request
+    shouldStream(n, onPartialImage) {
+        return this.stream && n === 1 && typeof onPartialImage === 'function';
+    }
+
+    async generate({ prompt, size = '1024x1024', n = 1, signal, onPartialImage, sketchImage, sketchStrength = 0.5 }) {
+        // The sketch goes through the edits endpoint as the reference image;
+        // input_fidelity decides how much of its layout survives
+        if (sketchImage) {
+            return this.edit({
+                images: [sketchImage],
+                prompt,
+                size,
+                n,
+                signal,
+                onPartialImage,
+                inputFidelity: sketchStrength >= 0.5 ? 'high' : 'low'
+            });
+        }
+
+        const stream = this.shouldStream(n, onPartialImage);
+        const response = await fetch(`${this.baseUrl}/v1/images/generations`, {
+            method: 'POST',
+            signal: signal,
+            headers: {
+                'Authorization': `Bearer ${this.apiKey}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                model: this.model,
+                prompt: prompt,
+                size: size,
+                quality: this.quality,
+                n: n,
+                ...(stream ? { stream: true, partial_images: this.partialImages } : {})
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Image generation failed: ${response.status} ${response.statusText}`);
+        }
+
+        if (stream) {
+            return this.readImageStream(response, onPartialImage);
+        }
+        return this.extractImages(await response.json());
+    }
+
+    async edit({ images, prompt, size = '1024x1024', n = 1, signal, onPartialImage, inputFidelity, mask }) {
+        if (!images || images.length === 0) {
+            throw new Error('No image provided for editing');
+        }
+
+        const formData = new FormData();
+        formData.append('model', this.model);
+        formData.append('prompt', prompt);
+        formData.append('size', size);
+        formData.append('quality', this.quality);
+        formData.append('n', String(n));
+        if (inputFidelity) {
+            formData.append('input_fidelity', inputFidelity);
+        }
+
+        const stream = this.shouldStream(n, onPartialImage);
+        if (stream) {
+            formData.append('stream', 'true');
+            formData.append('partial_images', String(this.partialImages));
+        }
+
+        // Several images are all sent as references (image[]); the mask applies to the first
+        if (images.length > 1) {
+            images.forEach((image, index) => {
+                formData.append('image[]', image, `image${index + 1}.png`);
+            });
+        } else {
+            formData.append('image', images[0], 'image.png');
+        }
+        if (mask) {
+            formData.append('mask', mask, 'mask.png');
+        }
+
+        const response = await fetch(`${this.baseUrl}/v1/images/edits`, {
+            method: 'POST',
+            signal: signal,
+            headers: {
+                'Authorization': `Bearer ${this.apiKey}`
+            },
+            body: formData
+        });
+
+        if (!response.ok) {
+            throw new Error(`Image edit failed: ${response.status} ${response.statusText}`);
+        }
+
+        if (stream) {
+            return this.readImageStream(response, onPartialImage);
+        }
+        return this.extractImages(await response.json());
+    }
+
+    // Streamed responses are server-sent events: image_generation.partial_image /
+    // image_edit.partial_image while rendering, then a .completed event with the final picture
+    async readImageStream(response, onPartialImage) {
+        const images = [];
+
+        await readEventStream(response, event => {
+            if (event.type && event.type.endsWith('.partial_image')) {
+                onPartialImage(event.b64_json, event.partial_image_index);
+            } else if (event.type && event.type.endsWith('.completed')) {
+                images.push(event.b64_json);
+            } else if (event.error) {
+                throw new Error(event.error.message || 'Image stream failed');
+            }
+        });
+
+        if (images.length === 0) {
+            throw new Error('No image generated');
+        }
+        return images;
+    }
+
+    extractImages(result) {
+        // GPT Image 1 format: { data: [{ b64_json }] }
+        if (result.data && result.data.length > 0) {
+            return result.data.map(item => item.b64_json);
+        }
+        throw new Error('No image generated');
+    }
+}
+
+// Talks to mockServer.js, which speaks the OpenAI images API and returns deterministic PNGs
+class MockImageProvider extends OpenAIImageProvider {
+    constructor(config = {}) {
+        super({
+            ...config,
+            apiKey: config.apiKey || 'mock',
+            baseUrl: config.baseUrl || 'http://localhost:8787',
+            model: config.model || 'mock-image'
+        });
+    }
+}
+
+// Self-hosted Stable Diffusion through the AUTOMATIC1111 / Forge web UI API
+class StableDiffusionImageProvider {
+    constructor(config = {}) {
+        this.baseUrl = config.baseUrl || 'http://localhost:7860';
+        this.steps = config.steps || 20;
+        this.negativePrompt = config.negativePrompt || '';
+        this.denoisingStrength = config.denoisingStrength ?? 0.6;
+        this.previewInterval = config.previewInterval || 1000;
+        this.controlNetModel = config.controlNetModel || null; // e.g. a scribble ControlNet
+    }
+
+    async generate({ prompt, size = '1024x1024', n = 1, signal, onPartialImage, sketchImage, sketchStrength = 0.5 }) {
+        const { width, height } = parseSize(size);
+        const body = {
+            prompt: prompt,
+            negative_prompt: this.negativePrompt,
+            width: width,
+            height: height,
+            steps: this.steps,
+            batch_size: n
+        };
+
+        if (sketchImage) {
+            const sketch = await blobToBase64(sketchImage);
+
+            if (!this.controlNetModel) {
+                // Without ControlNet, start from the sketch itself: the stronger the setting,
+                // the less noise is added (1 keeps the layout, 0 ignores the sketch)
+                const result = await this.post('/sdapi/v1/img2img', {
+                    ...body,
+                    init_images: [sketch],
+                    denoising_strength: 1 - sketchStrength * 0.6
+                }, signal, onPartialImage);
+                return this.extractImages(result);
+            }
+
+            // ControlNet on black-on-white lines; the strength is the control weight
+            body.alwayson_scripts = {
+                controlnet: {
+                    args: [{
+                        image: sketch,
+                        module: 'invert',
+                        model: this.controlNetModel,
+                        weight: sketchStrength
+                    }]
+                }
+            };
+        }
+
+        const result = await this.post('/sdapi/v1/txt2img', body, signal, onPartialImage);
+        return this.extractImages(result);
+    }
+
+    async edit({ images, prompt, size = '1024x1024', n = 1, signal, onPartialImage, mask }) {
+        if (!images || images.length === 0) {
+            throw new Error('No image provided for editing');
+        }
+
+        // img2img starts from a single picture, so extra reference images are ignored
+        const { width, height } = parseSize(size);
+        const body = {
+            init_images: [await blobToBase64(images[0])],
+            prompt: prompt,
+            negative_prompt: this.negativePrompt,
+            denoising_strength: this.denoisingStrength,
+            width: width,
+            height: height,
+            steps: this.steps,
+            batch_size: n
+        };
+
+        if (mask) {
+            // Inpaint only the masked area, starting from the original pixels
+            body.mask = await blobToBase64(await toInpaintMask(mask));
+            body.mask_blur = 4;
+            body.inpainting_fill = 1;
+            body.inpaint_full_res = false;
+        }
+
+        const result = await this.post('/sdapi/v1/img2img', body, signal, onPartialImage);
+        return this.extractImages(result);
+    }
+
+    async post(path, body, signal, onPartialImage) {
+        // Dropping the connection does not stop the web UI, so interrupt the job explicitly
+        const interrupt = () => fetch(`${this.baseUrl}/sdapi/v1/interrupt`, { method: 'POST' }).catch(() => {});
+        if (signal) {
+            signal.addEventListener('abort', interrupt, { once: true });
+        }
+        const stopPreviews = onPartialImage ? this.watchProgress(onPartialImage) : () => {};
+
+        const response = await fetch(`${this.baseUrl}${path}`, {
+            method: 'POST',
+            signal: signal,
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        }).finally(() => {
+            stopPreviews();
+            if (signal) {
+                signal.removeEventListener('abort', interrupt);
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error(`Stable Diffusion request failed: ${response.status} ${response.statusText}`);
+        }
+
+        return response.json();
+    }
+
+    // Poll the progress endpoint for live previews while a request runs (needs
+    // "Show live previews" enabled in the web UI). Returns a function that stops polling.
+    watchProgress(onPartialImage) {
+        let watching = true;
+        let lastImage = null;
+        let frameIndex = 0;
+
+        const poll = async () => {
+            while (watching) {
+                await sleep(this.previewInterval);
+                if (!watching) break;
+                try {
+                    const response = await fetch(`${this.baseUrl}/sdapi/v1/progress?skip_current_image=false`);
+                    const progress = await response.json();
+                    if (watching && progress.current_image && progress.current_image !== lastImage) {
+                        lastImage = progress.current_image;
+                        onPartialImage(progress.current_image, frameIndex++);
+                    }
+                } catch (error) {
+                    // Previews are best effort; the request itself reports real failures
+                }
+            }
+        };
+        poll();
+
+        return () => {
+            watching = false;
+        };
+    }
+
+    extractImages(result) {
+        if (result.images && result.images.length > 0) {
+            return result.images;
+        }
+        throw new Error('No image generated');
+    }
+}
+
+// Self-hosted ComfyUI running a user-supplied workflow in API format.
+// String inputs in the workflow may contain the placeholders %prompt%, %seed%, %width%,
+// %height% and (edit workflow only) %image%, which are filled in before queueing.
+// When several images are combined, the others are available as %image2%, %image3%, ...
+// The generate workflow may also use %sketch% (the uploaded sketch) and %strength% (0-1),
+// the edit workflow %mask% (a LoadImage of it yields the inpaint mask from the alpha channel).
+// ComfyUI only sends previews over its websocket, so onPartialImage is not used here.
+class ComfyUIImageProvider {
+    constructor(config = {}) {
+        this.baseUrl = config.baseUrl || 'http://localhost:8188';
+        this.workflow = config.workflow;
+        this.editWorkflow = config.editWorkflow;
+        this.pollInterval = config.pollInterval || 1000;
+        // Give up on a prompt whose outputs have not shown up after this long (ms)
+        this.timeout = config.timeout || 10 * 60 * 1000;
+        this.clientId = `drawing-pad-${Date.now()}`;
+    }
+
+    async generate({ prompt, size = '1024x1024', n = 1, signal, sketchImage, sketchStrength = 0.5 }) {
+        if (!this.workflow) {
+            throw new Error('No ComfyUI workflow configured');
+        }
+
+        const values = { prompt, strength: sketchStrength, ...parseSize(size) };
+        // Only upload the sketch when the workflow has somewhere to put it
+        if (sketchImage && JSON.stringify(this.workflow).includes('%sketch%')) {
+            values.sketch = await this.uploadImage(sketchImage, signal);
+        }
+        return this.runBatch(this.workflow, values, n, signal);
+    }
+
+    async edit({ images, prompt, size = '1024x1024', n = 1, signal, mask }) {
+        if (!this.editWorkflow) {
+            throw new Error('No ComfyUI edit workflow configured');
+        }
+        if (!images || images.length === 0) {
+            throw new Error('No image provided for editing');
+        }
+
+        const values = { prompt, ...parseSize(size) };
+        values.image = await this.uploadImage(images[0], signal);
+        const workflowText = JSON.stringify(this.editWorkflow);
+        for (let i = 1; i < images.length; i++) {
+            if (workflowText.includes(`%image${i + 1}%`)) {
+                values[`image${i + 1}`] = await this.uploadImage(images[i], signal);
+            }
+        }
+        if (mask && workflowText.includes('%mask%')) {
+            values.mask = await this.uploadImage(mask, signal);
+        }
+        return this.runBatch(this.editWorkflow, values, n, signal);
+    }
+
+    async runBatch(workflow, values, n, signal) {
+        const results = [];
+        for (let i = 0; i < n; i++) {
+            const seed = Math.floor(Math.random() * 1e9);
+            results.push(...await this.runWorkflow(workflow, { ...values, seed }, signal));
+        }
+        return results.slice(0, n);
+    }
+
+    async runWorkflow(workflow, values, signal) {
+        const response = await fetch(`${this.baseUrl}/prompt`, {
+            method: 'POST',
+            signal: signal,
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                prompt: fillWorkflow(workflow, values),
+                client_id: this.clientId
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`ComfyUI request failed: ${response.status} ${response.statusText}`);
+        }
+
+        const { prompt_id: promptId } = await response.json();
+        let outputs;
+        try {
+            outputs = await this.waitForOutputs(promptId, signal);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.removeFromQueue(promptId);
+            }
+            throw error;
+        }
+
+        // Collect every image produced by any output node
+        const files = [];
+        Object.values(outputs).forEach(output => {
+            (output.images || []).forEach(file => files.push(file));
+        });
+
+        if (files.length === 0) {
+            throw new Error('No image generated');
+        }
+
+        return Promise.all(files.map(file => this.downloadImage(file, signal)));
+    }
+
+    async waitForOutputs(promptId, signal) {
+        const deadline = Date.now() + this.timeout;
+        while (true) {
+            if (signal && signal.aborted) {
+                throw signal.reason;
+            }
+            if (Date.now() > deadline) {
+                // Nothing will collect the result any more, so stop the server working on it
+                this.removeFromQueue(promptId);
+                throw new Error(`ComfyUI produced no output within ${Math.round(this.timeout / 1000)} seconds`);
+            }
+
+            const response = await fetch(`${this.baseUrl}/history/${promptId}`, { signal });
+            if (!response.ok) {
+                throw new Error(`ComfyUI history failed: ${response.status} ${response.statusText}`);
+            }
+
+            const history = await response.json();
+            if (history[promptId] && history[promptId].outputs) {
+                return history[promptId].outputs;
+            }
+
+            await sleep(this.pollInterval, signal);
+        }
+    }
+
+    // Drop a cancelled prompt from the queue, or interrupt it if it is already running
+    removeFromQueue(promptId) {
+        const post = (path, body) => fetch(`${this.baseUrl}${path}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        }).catch(() => {});
+
+        post('/queue', { delete: [promptId] });
+        post('/interrupt', { prompt_id: promptId });
+    }
+
+    async uploadImage(blob, signal) {
+        const formData = new FormData();
+        formData.append('image', blob, `drawing-pad-${Date.now()}.png`);
+        formData.append('overwrite', 'true');
+
+        const response = await fetch(`${this.baseUrl}/upload/image`, {
+            method: 'POST',
+            signal: signal,
+            body: formData
+        });
+
+        if (!response.ok) {
+            throw new Error(`ComfyUI upload failed: ${response.status} ${response.statusText}`);
+        }
+
+        const result = await response.json();
+        return result.subfolder ? `${result.subfolder}/${result.name}` : result.name;
+    }
+
+    async downloadImage(file, signal) {
+        const params = new URLSearchParams({
+            filename: file.filename,
+            subfolder: file.subfolder || '',
+            type: file.type || 'output'
+        });
+        const response = await fetch(`${this.baseUrl}/view?${params}`, { signal });
+        if (!response.ok) {
+            throw new Error(`ComfyUI download failed: ${response.status} ${response.statusText}`);
+        }
+        return blobToBase64(await response.blob());
+    }
+}
+
+function parseSize(size) {
+    const [width, height] = size.split('x').map(Number);
+    return { width, height };
+}
+
+// Read a server-sent events response and hand every JSON data payload to onEvent
+async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true }).replace(/\r/g, '');
+
+        // Events are separated by a blank line
+        let boundary = buffer.indexOf('\n\n');
+        while (boundary !== -1) {
+            const data = buffer.slice(0, boundary)
+                .split('\n')
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).trim())
+                .join('\n');
+            buffer = buffer.slice(boundary + 2);
+
+            if (data && data !== '[DONE]') {
+                onEvent(JSON.parse(data));
+            }
+            boundary = buffer.indexOf('\n\n');
+        }
+    }
+}
+
+// setTimeout that rejects with an AbortError when the signal fires
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+        }, ms);
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
+function fillWorkflow(workflow, values) {
+    // Work on a copy so the configured workflow can be reused
+    const filled = JSON.parse(JSON.stringify(workflow));
+
+    const fill = (node) => {
+        Object.keys(node).forEach(key => {
+            const value = node[key];
+            if (typeof value === 'string') {
+                const exact = value.match(/^%(\w+)%$/);
+                if (exact && typeof values[exact[1]] === 'number') {
+                    // Keep numeric inputs numeric
+                    node[key] = values[exact[1]];
+                } else {
+                    node[key] = value.replace(/%(\w+)%/g, (match, name) =>
+                        name in values ? String(values[name]) : match
+                    );
+                }
+            } else if (value && typeof value === 'object') {
+                fill(value);
+            }
+        });
+    };
+    fill(filled);
+
+    return filled;
+}
+
+async function blobToBase64(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function createImageProvider(config = {}) {
+    switch (config.type || 'openai') {
+        case 'openai':
+            return new OpenAIImageProvider(config);
+        case 'mock':
+            return new MockImageProvider(config);
+        case 'stable-diffusion':
+            return new StableDiffusionImageProvider(config);
+        case 'comfyui':
+            return new ComfyUIImageProvider(config);
+        default:
+            throw new Error(`Unknown image provider: ${config.type}`);
+    }
+}
+
+export {
+    OpenAIImageProvider,
+    MockImageProvider,
+    StableDiffusionImageProvider,
+    ComfyUIImageProvider,
+    createImageProvider,
+    blobToBase64
+};
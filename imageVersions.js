@@ -0,0 +1,66 @@
+// Per-image version list: every picture an image object has shown, oldest first, with
+// what produced it. imageObj.versions entries look like
+// { imageData, width, height, prompt, instruction, sketch, createdAt }, where prompt is
+// the full text sent to the image model, instruction what the user asked for and
+// sketch a small PNG data URL of the strokes that guided it.
+
+// Images from before versions existed start with their current picture as the original
+function getImageVersions(imageObj) {
+    if (imageObj.versions && imageObj.versions.length > 0) {
+        return imageObj.versions;
+    }
+    if (!imageObj.imageData) return [];
+
+    return [{
+        imageData: imageObj.imageData,
+        width: imageObj.width,
+        height: imageObj.height,
+        prompt: null,
+        instruction: 'Original',
+        sketch: null,
+        createdAt: null
+    }];
+}
+
+// The version the image shows right now (it may have been reverted to an older one)
+function getCurrentVersionIndex(imageObj) {
+    const versions = getImageVersions(imageObj);
+    for (let i = versions.length - 1; i >= 0; i--) {
+        if (versions[i].imageData === imageObj.imageData) return i;
+    }
+    return -1;
+}
+
+function getCurrentVersion(imageObj) {
+    const index = getCurrentVersionIndex(imageObj);
+    return index === -1 ? null : getImageVersions(imageObj)[index];
+}
+
+// Version list with the current version's picture swapped, e.g. for a kept variation
+function replaceCurrentPicture(imageObj, imageData) {
+    const versions = getImageVersions(imageObj);
+    const index = getCurrentVersionIndex(imageObj);
+    if (index === -1) return versions;
+
+    return versions.map((version, i) => i === index ? { ...version, imageData } : version);
+}
+
+// Downscaled copy of a PNG data URL, small enough to keep with every version
+function createThumbnail(dataUrl, maxSize = 160) {
+    return new Promise((resolve) => {
+        const img = new Image();
+        img.onload = () => {
+            const scale = Math.min(1, maxSize / Math.max(img.width, img.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(img.width * scale));
+            canvas.height = Math.max(1, Math.round(img.height * scale));
+            canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+            resolve(canvas.toDataURL('image/png'));
+        };
+        // A missing thumbnail should never fail the request it belongs to
+        img.onerror = () => resolve(null);
+        img.src = dataUrl;
+    });
+}
+
+export { getImageVersions, getCurrentVersionIndex, getCurrentVersion, replaceCurrentPicture, createThumbnail };
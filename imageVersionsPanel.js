@@ -0,0 +1,159 @@
+import { UpdateImageCommand } from './commands.js';
+import { getImageVersions, getCurrentVersionIndex } from './imageVersions.js';
+
+// Versions panel: browse the selected image's versions and revert it to one of them.
+// A revert is its own undo step and only touches that image.
+class ImageVersionsPanel {
+    constructor(drawingManager) {
+        this.drawingManager = drawingManager;
+        this.imageObj = null;
+
+        this.panel = document.getElementById('versionsPanel');
+        this.versionList = document.getElementById('versionList');
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('versionsButton').addEventListener('click', () => this.togglePanel());
+        document.getElementById('dismissVersions').addEventListener('click', () => this.hidePanel());
+
+        // Undo and redo (of a revert, too) change the versions and which one is current
+        this.drawingManager.historyListeners.push(() => this.update());
+    }
+
+    update() {
+        const imageObj = this.imageObj;
+        if (!imageObj) return;
+
+        // The image was removed, or is being regenerated
+        if (!this.drawingManager.strokes.includes(imageObj) || imageObj.isGenerating || !imageObj.imageData) {
+            this.hidePanel();
+            return;
+        }
+        this.renderVersions();
+    }
+
+    getSelectedImage() {
+        const images = this.drawingManager.strokes.filter(stroke =>
+            stroke.type === 'image-object' && stroke.selected && stroke.imageData && !stroke.isGenerating
+        );
+        return images.length === 1 ? images[0] : null;
+    }
+
+    renderVersions() {
+        this.versionList.innerHTML = '';
+
+        const versions = getImageVersions(this.imageObj);
+        const currentIndex = getCurrentVersionIndex(this.imageObj);
+
+        // Newest first
+        for (let index = versions.length - 1; index >= 0; index--) {
+            const version = versions[index];
+            const item = document.createElement('div');
+            item.className = 'version-item';
+            if (index === currentIndex) item.classList.add('current');
+
+            const picture = document.createElement('img');
+            picture.className = 'version-picture';
+            picture.src = `data:image/png;base64,${version.imageData}`;
+            picture.alt = `Version ${index + 1}`;
+            item.appendChild(picture);
+
+            const details = document.createElement('div');
+            details.className = 'version-details';
+
+            const instruction = document.createElement('span');
+            instruction.className = 'version-instruction';
+            instruction.textContent = `${index + 1}. ${version.instruction || 'Untitled'}`;
+            details.appendChild(instruction);
+
+            if (version.createdAt) {
+                const time = document.createElement('span');
+                time.className = 'history-time';
+                time.textContent = new Date(version.createdAt).toLocaleString();
+                details.appendChild(time);
+            }
+
+            // The full prompt is long, so it is only shown on request
+            if (version.prompt) {
+                const prompt = document.createElement('details');
+                prompt.className = 'version-prompt';
+                const summary = document.createElement('summary');
+                summary.textContent = 'Prompt';
+                prompt.appendChild(summary);
+                prompt.appendChild(document.createTextNode(version.prompt));
+                details.appendChild(prompt);
+            }
+
+            item.appendChild(details);
+
+            if (version.sketch) {
+                const sketch = document.createElement('img');
+                sketch.className = 'version-sketch';
+                sketch.src = version.sketch;
+                sketch.alt = 'Sketch';
+                sketch.title = 'Sketch that guided this version';
+                item.appendChild(sketch);
+            }
+
+            if (index !== currentIndex) {
+                const revert = document.createElement('button');
+                revert.className = 'board-action';
+                revert.textContent = 'Revert';
+                revert.onclick = () => this.revertTo(version);
+                item.appendChild(revert);
+            }
+
+            this.versionList.appendChild(item);
+        }
+    }
+
+    revertTo(version) {
+        const imageObj = this.imageObj;
+        if (!this.drawingManager.strokes.includes(imageObj) || imageObj.isGenerating) {
+            this.hidePanel();
+            return;
+        }
+
+        // Keep the image's current width so a revert does not jump in size
+        const height = imageObj.width * (version.height / version.width);
+        this.drawingManager.history.execute(new UpdateImageCommand(
+            imageObj,
+            { imageData: imageObj.imageData, width: imageObj.width, height: imageObj.height },
+            { imageData: version.imageData, width: imageObj.width, height: height },
+            'revert image'
+        ));
+        this.drawingManager.redraw();
+    }
+
+    togglePanel() {
+        if (this.panel.classList.contains('panel-visible')) {
+            this.hidePanel();
+        } else {
+            this.showPanel();
+        }
+    }
+
+    showPanel() {
+        this.imageObj = this.getSelectedImage();
+        if (!this.imageObj) {
+            if (window.toastManager) {
+                window.toastManager.logError('Select one image to see its versions');
+            }
+            return;
+        }
+
+        this.renderVersions();
+        this.panel.classList.remove('panel-hidden');
+        this.panel.classList.add('panel-visible');
+    }
+
+    hidePanel() {
+        this.panel.classList.remove('panel-visible');
+        this.panel.classList.add('panel-hidden');
+        this.imageObj = null;
+    }
+}
+
+export { ImageVersionsPanel };
@@ -0,0 +1,272 @@
+// Local mock of the OpenAI endpoints used by the drawing pad.
+// Returns deterministic PNGs (same prompt and inputs => same picture) so the
+// drawing flow can be exercised offline without spending API credits.
+//
+// Usage: npm run mock-server  (listens on MOCK_PORT, default 8787)
+// Set MOCK_DELAY (milliseconds) to hold every response, e.g. to try cancelling a request.
+import http from 'node:http';
+import crypto from 'node:crypto';
+import zlib from 'node:zlib';
+
+const PORT = Number(process.env.MOCK_PORT) || 8787;
+const DELAY = Number(process.env.MOCK_DELAY) || 0;
+const STREAM_FRAME_DELAY = 500;
+
+// PNG encoding
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typeAndData));
+    return Buffer.concat([length, typeAndData, crc]);
+}
+
+function encodePNG(width, height, pixelAt) {
+    // RGB, 8 bits per channel, filter byte 0 on every row
+    const raw = Buffer.alloc((width * 3 + 1) * height);
+    let offset = 0;
+    for (let y = 0; y < height; y++) {
+        raw[offset++] = 0;
+        for (let x = 0; x < width; x++) {
+            const [r, g, b] = pixelAt(x, y);
+            raw[offset++] = r;
+            raw[offset++] = g;
+            raw[offset++] = b;
+        }
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 2; // color type: RGB
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+// Draw a mirrored 8x8 identicon over a diagonal gradient, both derived from the seed.
+// `reveal` (0..1) renders a streaming preview: rows below it stay grey.
+function renderMockImage(seed, size, reveal = 1) {
+    const hash = crypto.createHash('sha256').update(seed).digest();
+    const [width, height] = (size || '1024x1024').split('x').map(Number);
+    const from = [hash[0], hash[1], hash[2]];
+    const to = [hash[3], hash[4], hash[5]];
+    const ink = [hash[6] >> 1, hash[7] >> 1, hash[8] >> 1];
+    const cells = 8;
+    const cellSize = Math.min(width, height) * 0.75 / cells;
+    const left = (width - cellSize * cells) / 2;
+    const top = (height - cellSize * cells) / 2;
+
+    const isFilled = (col, row) => {
+        const mirroredCol = col < cells / 2 ? col : cells - 1 - col;
+        const bit = row * (cells / 2) + mirroredCol;
+        return (hash[9 + (bit >> 3)] >> (bit & 7)) & 1;
+    };
+
+    return encodePNG(width, height, (x, y) => {
+        if (y >= height * reveal) {
+            const t = (x + y) / (width + height);
+            const grey = Math.round(160 + 60 * t);
+            return [grey, grey, grey];
+        }
+        const col = Math.floor((x - left) / cellSize);
+        const row = Math.floor((y - top) / cellSize);
+        if (col >= 0 && col < cells && row >= 0 && row < cells && isFilled(col, row)) {
+            return ink;
+        }
+        const t = (x + y) / (width + height);
+        return from.map((channel, i) => Math.round(channel + (to[i] - channel) * t));
+    });
+}
+
+// Request helpers
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+function parseMultipart(body, contentType) {
+    const match = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/);
+    if (!match) return {};
+
+    const boundary = Buffer.from(`--${match[1] || match[2]}`);
+    const fields = {};
+    let start = body.indexOf(boundary);
+
+    while (start !== -1) {
+        const next = body.indexOf(boundary, start + boundary.length);
+        if (next === -1) break;
+
+        const part = body.subarray(start + boundary.length + 2, next - 2);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd !== -1) {
+            const headers = part.subarray(0, headerEnd).toString();
+            const name = headers.match(/name="([^"]+)"/);
+            if (name) {
+                const value = part.subarray(headerEnd + 4);
+                const key = name[1];
+                fields[key] = fields[key] ? [].concat(fields[key], value) : value;
+            }
+        }
+        start = next;
+    }
+
+    return fields;
+}
+
+function sendJSON(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+function imageResponse(seed, size, n) {
+    const count = Math.max(1, Number(n) || 1);
+    const data = [];
+    for (let i = 0; i < count; i++) {
+        data.push({ b64_json: renderMockImage(`${seed}#${i}`, size).toString('base64') });
+    }
+    return { created: Math.floor(Date.now() / 1000), data };
+}
+
+// Stream like the real API: partial frames that reveal more of the picture, then the
+// completed image. The final frame matches the non-streamed response for the same request.
+async function sendImageStream(res, seed, size, partialImages, eventPrefix) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    const send = (event) => res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    const count = Math.min(3, Math.max(0, Number(partialImages) || 0));
+
+    for (let i = 0; i < count; i++) {
+        await new Promise(resolve => setTimeout(resolve, STREAM_FRAME_DELAY));
+        send({
+            type: `${eventPrefix}.partial_image`,
+            b64_json: renderMockImage(`${seed}#0`, size, (i + 1) / (count + 1)).toString('base64'),
+            partial_image_index: i
+        });
+    }
+
+    await new Promise(resolve => setTimeout(resolve, STREAM_FRAME_DELAY));
+    send({
+        type: `${eventPrefix}.completed`,
+        b64_json: renderMockImage(`${seed}#0`, size).toString('base64')
+    });
+    res.end();
+}
+
+// Route handlers
+
+async function handleGenerations(req, res) {
+    const body = JSON.parse((await readBody(req)).toString() || '{}');
+    const seed = `generate:${body.prompt}`;
+
+    if (body.stream) {
+        await sendImageStream(res, seed, body.size, body.partial_images, 'image_generation');
+        return;
+    }
+    sendJSON(res, 200, imageResponse(seed, body.size, body.n));
+}
+
+async function handleEdits(req, res) {
+    const fields = parseMultipart(await readBody(req), req.headers['content-type'] || '');
+    const text = (key) => fields[key] ? fields[key].toString() : undefined;
+
+    // Seed from the prompt and the uploaded image and mask bytes so identical edits match
+    const hash = crypto.createHash('sha256').update(`edit:${text('prompt')}`);
+    [].concat(fields.image || [], fields['image[]'] || [], fields.mask || []).forEach(image => hash.update(image));
+
+    const seed = hash.digest('hex');
+
+    if (text('stream') === 'true') {
+        await sendImageStream(res, seed, text('size'), text('partial_images'), 'image_edit');
+        return;
+    }
+    sendJSON(res, 200, imageResponse(seed, text('size'), text('n')));
+}
+
+async function handleChatCompletions(req, res) {
+    const body = JSON.parse((await readBody(req)).toString() || '{}');
+    const message = body.messages && body.messages[body.messages.length - 1];
+    const parts = message && Array.isArray(message.content) ? message.content : [{ text: message && message.content }];
+    const prompt = parts.map(part => part.text || '').join('\n');
+
+    // Answer in the shape each caller in ai.js expects
+    const answer = /transcribe/i.test(prompt)
+        ? { text: 'Mock handwriting' }
+        : /refinements/i.test(prompt)
+        ? { options: ['Warm palette', 'Monochrome', 'Pastel tones'] }
+        : /options/i.test(prompt)
+        ? { options: ['Add hat', 'Change color', 'Add background', 'Make cartoon'] }
+        : { action_type: 'generate', image_prompt: 'A mock image generated from the sketch', description: 'Generate new image from sketch (mock)' };
+
+    sendJSON(res, 200, {
+        id: `mock-${Date.now()}`,
+        object: 'chat.completion',
+        choices: [{ index: 0, message: { role: 'assistant', content: JSON.stringify(answer) }, finish_reason: 'stop' }]
+    });
+}
+
+const routes = {
+    'POST /v1/images/generations': handleGenerations,
+    'POST /v1/images/edits': handleEdits,
+    'POST /v1/chat/completions': handleChatCompletions
+};
+
+const server = http.createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    const handler = routes[`${req.method} ${req.url.split('?')[0]}`];
+    if (!handler) {
+        sendJSON(res, 404, { error: { message: `No mock for ${req.method} ${req.url}` } });
+        return;
+    }
+
+    try {
+        if (DELAY > 0) {
+            await new Promise(resolve => setTimeout(resolve, DELAY));
+        }
+        await handler(req, res);
+        console.log(`${req.method} ${req.url} -> 200`);
+    } catch (error) {
+        console.error(`${req.method} ${req.url} failed:`, error);
+        sendJSON(res, 500, { error: { message: error.message } });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock image server listening on http://localhost:${PORT}`);
+});
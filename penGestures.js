@@ -0,0 +1,298 @@
+import { DeleteStrokesCommand, MoveStrokesCommand, isBoxObject } from './commands.js';
+import {
+    GestureRecognizer,
+    findCrossing,
+    isStraight,
+    segmentIntersection,
+    isClosedLoop,
+    isStrikeLine,
+    isStrikeThrough,
+    findArrow
+} from './gestureRecognizer.js';
+
+// A two-stroke gesture's second stroke must start this soon after the first ends (ms)
+const GESTURE_STROKE_GAP = 1500;
+
+// Strokes drawn with the pen this far over (average tilt from vertical, degrees) are
+// shading, never gestures
+const SHADING_TILT = 55;
+
+// A loop only selects when the pen is held still at its end this long (ms); without the
+// hold it is ink, like a face outline drawn around the eyes or a word circled as a note
+const LOOP_HOLD_TIME = 500;
+
+// Recognized gestures and the setting that maps each to a command.
+// Commands: 'delete', 'select', 'ai' (send to the AI like the drop zone), 'move' (arrows
+// only; any other gesture mapped to it stays a drawing) or 'none'.
+const GESTURE_SETTINGS = {
+    x: 'gestureX',
+    circle: 'gestureCircle',
+    strike: 'gestureStrike',
+    arrow: 'gestureArrow'
+};
+
+// Angle between the pen and the vertical (degrees). tiltX and tiltY are the angles of the
+// pen's shadow on the x-z and y-z planes, so they do not add up like a vector.
+function getTiltFromVertical(tilt) {
+    const toRadians = Math.PI / 180;
+    const tanX = Math.tan(tilt.x * toRadians);
+    const tanY = Math.tan(tilt.y * toRadians);
+    return Math.atan(Math.sqrt(tanX * tanX + tanY * tanY)) / toRadians;
+}
+
+// Pen strokes that are gestures (an X, a loop, a strike-through, an arrow) run a command
+// on what they touch instead of being added to the drawing. A gesture that touches
+// nothing, or is mapped to 'none', stays a stroke.
+class PenGestures {
+    constructor(drawingManager, settings) {
+        this.drawingManager = drawingManager;
+        this.settings = settings;
+        this.recognizer = new GestureRecognizer();
+        this.lastStroke = null; // { stroke, command, endTime } of the last stroke drawn
+    }
+
+    // Remember a stroke added to the board; it may be the first half of a two-stroke gesture
+    recordStroke(stroke, command) {
+        this.lastStroke = { stroke, command, endTime: Date.now() };
+    }
+
+    // Returns true when the stroke completed a gesture and was consumed. heldFor is how long
+    // the pen rested at the end of the stroke (ms).
+    handleStroke(stroke, startTime, heldFor = 0) {
+        if (stroke.points.length < 2 || this.isShading(stroke)) return false;
+
+        const previous = this.getPreviousStroke(startTime);
+        const candidates = [];
+        if (previous) {
+            candidates.push(
+                { name: 'x', strokes: [previous.stroke, stroke] },
+                { name: 'arrow', strokes: [previous.stroke, stroke] }
+            );
+        }
+        candidates.push({ name: 'arrow', strokes: [stroke] });
+        if (heldFor >= LOOP_HOLD_TIME) {
+            candidates.push({ name: 'circle', strokes: [stroke] });
+        }
+        candidates.push({ name: 'strike', strokes: [stroke] });
+
+        for (const gesture of candidates) {
+            const command = this.settings.get(GESTURE_SETTINGS[gesture.name]);
+            if (!command || command === 'none') continue;
+            // Only an arrow says where to move to
+            if (command === 'move' && gesture.name !== 'arrow') continue;
+
+            const match = this.matchGesture(gesture);
+            if (!match || match.targets.length === 0) continue;
+
+            // The first half of a two-stroke gesture is already on the board; take it back out
+            if (gesture.strokes.length === 2) {
+                this.drawingManager.history.rollback(previous.command);
+            }
+            this.lastStroke = null;
+            this.runCommand(command, match);
+            return true;
+        }
+        return false;
+    }
+
+    // The previous stroke, if it was drawn just now and is still the latest change
+    getPreviousStroke(startTime) {
+        const previous = this.lastStroke;
+        if (!previous || startTime - previous.endTime > GESTURE_STROKE_GAP) return null;
+
+        const history = this.drawingManager.history;
+        if (history.entries[history.position - 1] !== previous.command) return null;
+        if (!this.drawingManager.strokes.includes(previous.stroke)) return null;
+        return previous;
+    }
+
+    isShading(stroke) {
+        if (!stroke.tilts || stroke.tilts.length === 0) return false;
+
+        const total = stroke.tilts.reduce((sum, tilt) => sum + getTiltFromVertical(tilt), 0);
+        return total / stroke.tilts.length > SHADING_TILT;
+    }
+
+    // { targets, ...details } when the strokes form the named gesture, otherwise null
+    matchGesture({ name, strokes }) {
+        const points = strokes.map(stroke => stroke.points);
+
+        if (name === 'x') {
+            if (!this.isXShape(points)) return null;
+            return { name, strokes, targets: this.findStrokesCrossedBy(strokes) };
+        }
+
+        if (name === 'arrow') {
+            const arrow = findArrow(points, 40 / this.drawingManager.canvasManager.scale);
+            if (!arrow) return null;
+            return { name, strokes, ...arrow, targets: this.findArrowTargets(strokes, arrow) };
+        }
+
+        if (name === 'circle') {
+            if (!isClosedLoop(points[0]) || this.isOverImage(points[0])) return null;
+            return { name, strokes, targets: this.findStrokesInLoop(strokes[0]) };
+        }
+
+        if (name === 'strike') {
+            if (!isStrikeLine(points[0], 40 / this.drawingManager.canvasManager.scale)) return null;
+            return { name, strokes, targets: this.findStrokesStruckThrough(strokes[0]) };
+        }
+
+        return null;
+    }
+
+    // Two roughly straight lines crossing near their middles, matched as an X
+    isXShape([first, second]) {
+        if (!isStraight(first) || !isStraight(second)) return false;
+
+        const crossing = findCrossing(first, second);
+        if (!crossing || crossing.t < 0.15 || crossing.t > 0.85 || crossing.u < 0.15 || crossing.u > 0.85) return false;
+
+        const match = this.recognizer.recognize([first, second]);
+        return Boolean(match) && match.name === 'x';
+    }
+
+    // A loop drawn inside a picture is an edit mask (see imageMask.js), not a selection
+    isOverImage(points) {
+        return this.drawingManager.strokes.some(stroke => {
+            if (stroke.type !== 'image-object') return false;
+            const left = stroke.position.x - stroke.width / 2;
+            const top = stroke.position.y - stroke.height / 2;
+            return points.every(point =>
+                point.x >= left && point.x <= left + stroke.width && point.y >= top && point.y <= top + stroke.height
+            );
+        });
+    }
+
+    // Everything on the board a gesture may act on
+    getCandidates(gestureStrokes) {
+        return this.drawingManager.strokes.filter(stroke => !gestureStrokes.includes(stroke) && !stroke.isGenerating);
+    }
+
+    // Strokes and images that any gesture line passes over
+    findStrokesCrossedBy(gesture) {
+        const drawingManager = this.drawingManager;
+        const tolerance = 10 / drawingManager.canvasManager.scale;
+        const segments = [];
+        gesture.forEach(stroke => {
+            for (let i = 1; i < stroke.points.length; i++) {
+                segments.push([stroke.points[i - 1], stroke.points[i]]);
+            }
+        });
+        const gestureBounds = drawingManager.getStrokesBounds(gesture);
+
+        return this.getCandidates(gesture).filter(stroke => {
+            const bounds = drawingManager.getStrokeBounds(stroke);
+            if (bounds.maxX < gestureBounds.minX - tolerance || bounds.minX > gestureBounds.maxX + tolerance ||
+                bounds.maxY < gestureBounds.minY - tolerance || bounds.minY > gestureBounds.maxY + tolerance) {
+                return false;
+            }
+
+            if (isBoxObject(stroke)) {
+                // Any gesture point over the picture or text counts
+                return gesture.some(gestureStroke => gestureStroke.points.some(point =>
+                    point.x >= bounds.minX && point.x <= bounds.maxX && point.y >= bounds.minY && point.y <= bounds.maxY
+                ));
+            }
+
+            // Pen strokes: a line crossing, or a point close to a gesture line (dots, short ticks)
+            return stroke.points.some((point, i) => {
+                if (i > 0 && segments.some(([a, b]) => segmentIntersection(a, b, stroke.points[i - 1], point))) {
+                    return true;
+                }
+                return gesture.some(gestureStroke => gestureStroke.points.some(gesturePoint =>
+                    Math.hypot(gesturePoint.x - point.x, gesturePoint.y - point.y) <= tolerance
+                ));
+            });
+        });
+    }
+
+    // Strokes wholly inside the loop, and images and text with all four corners inside it
+    findStrokesInLoop(loop) {
+        const drawingManager = this.drawingManager;
+        const polygon = loop.points;
+
+        return this.getCandidates([loop]).filter(stroke => {
+            if (isBoxObject(stroke)) {
+                const halfWidth = stroke.width / 2;
+                const halfHeight = stroke.height / 2;
+                return [[-1, -1], [1, -1], [1, 1], [-1, 1]].every(([sx, sy]) => drawingManager.isPointInPolygon({
+                    x: stroke.position.x + sx * halfWidth,
+                    y: stroke.position.y + sy * halfHeight
+                }, polygon));
+            }
+            return stroke.points.every(point => drawingManager.isPointInPolygon(point, polygon));
+        });
+    }
+
+    // Pen strokes whose ink the line crosses, judged together so a struck-out word counts
+    // as a whole, and pictures and text it runs right across (see isStrikeThrough)
+    findStrokesStruckThrough(line) {
+        const drawingManager = this.drawingManager;
+        const tolerance = 10 / drawingManager.canvasManager.scale;
+        const candidates = this.getCandidates([line]);
+
+        const crossed = candidates.filter(stroke => !isBoxObject(stroke) && stroke.points.some((point, i) =>
+            i > 0 && line.points.some((linePoint, j) =>
+                j > 0 && segmentIntersection(line.points[j - 1], linePoint, stroke.points[i - 1], point)
+            )
+        ));
+        const struck = crossed.length > 0 && isStrikeThrough(
+            line.points,
+            drawingManager.getStrokesBounds(crossed),
+            crossed.map(stroke => stroke.points),
+            tolerance
+        ) ? crossed : [];
+
+        const boxes = candidates.filter(stroke =>
+            isBoxObject(stroke) && isStrikeThrough(line.points, drawingManager.getStrokeBounds(stroke), [], tolerance)
+        );
+        return [...struck, ...boxes];
+    }
+
+    // What the arrow starts on (or the whole selection, when that is selected), provided
+    // it points to empty space
+    findArrowTargets(gesture, { tail, tip }) {
+        const drawingManager = this.drawingManager;
+        const source = drawingManager.findStrokeAtPoint(tail, gesture);
+        if (!source || source.isGenerating) return [];
+
+        const targets = source.selected
+            ? this.getCandidates(gesture).filter(stroke => stroke.selected)
+            : [source];
+        if (drawingManager.findStrokeAtPoint(tip, [...gesture, ...targets])) return [];
+        return targets;
+    }
+
+    runCommand(command, { name, targets, tail, tip }) {
+        const drawingManager = this.drawingManager;
+        const count = `${targets.length} item${targets.length === 1 ? '' : 's'}`;
+        let message = null;
+
+        if (command === 'delete') {
+            drawingManager.history.execute(new DeleteStrokesCommand(drawingManager, targets, 'delete'));
+            drawingManager.clearAllSelections();
+            message = `Deleted ${count}`;
+        } else if (command === 'select') {
+            drawingManager.clearAllSelections();
+            targets.forEach(stroke => {
+                stroke.selected = true;
+            });
+            drawingManager.selectedStrokes = targets;
+            message = `Selected ${count}`;
+        } else if (command === 'ai') {
+            drawingManager.clearAllSelections();
+            drawingManager.aiGenerator.processDrawing(drawingManager, targets);
+        } else if (command === 'move' && name === 'arrow') {
+            drawingManager.history.execute(new MoveStrokesCommand(targets, tip.x - tail.x, tip.y - tail.y, 'move'));
+            message = `Moved ${count}`;
+        }
+
+        drawingManager.redraw();
+        if (message && window.toastManager) {
+            window.toastManager.logInfo(message);
+        }
+    }
+}
+
+export { PenGestures, GESTURE_SETTINGS };
@@ -0,0 +1,61 @@
+// User preferences, persisted in localStorage
+const DEFAULT_SETTINGS = {
+    // How a generated image is sized into the sketch's bounding box:
+    // 'fit' keeps it inside the box, 'fill' covers the box (overflowing one side)
+    imagePlacement: 'fit',
+    // How closely generated images follow the drawn layout (0 = prompt only, 1 = closely)
+    sketchStrength: 0.6,
+    // Edits only change the area under the strokes drawn over the image
+    maskEdits: true,
+    // Where an edit's result goes: 'replace' the edited image(s) or 'beside' them
+    editResult: 'replace',
+    // Results per generate or edit (1-4); with more than one the user picks from a contact sheet
+    variations: 1,
+    // Command each pen gesture runs (see penGestures.js): 'delete', 'select', 'ai', 'move'
+    // (arrows only) or 'none' to keep the gesture as a drawing
+    gestureX: 'delete',
+    gestureCircle: 'select',
+    gestureStrike: 'delete',
+    gestureArrow: 'move',
+    // What the eraser removes: 'stroke' (whole strokes it touches) or 'partial' (only the ink under it)
+    eraserMode: 'stroke',
+    // Brush for new strokes (see strokeStyle.js): pen and highlighter colors, a multiplier on
+    // the pressure-based width and an opacity from 0.1 to 1
+    penColor: '#000000',
+    highlighterColor: '#FDD835',
+    brushWidth: 1,
+    brushOpacity: 1
+};
+
+class Settings {
+    constructor(storageKey = 'drawingPad.settings') {
+        this.storageKey = storageKey;
+        this.values = { ...DEFAULT_SETTINGS, ...this.load() };
+        this.listeners = [];
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.error('Failed to load settings:', error);
+            return {};
+        }
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    set(key, value) {
+        this.values[key] = value;
+        localStorage.setItem(this.storageKey, JSON.stringify(this.values));
+        this.listeners.forEach(listener => listener(key, value));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+}
+
+export { Settings, DEFAULT_SETTINGS };
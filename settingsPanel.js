@@ -0,0 +1,60 @@
+// Settings panel: every input with a data-setting attribute edits that setting
+class SettingsPanel {
+    constructor(settings) {
+        this.settings = settings;
+        this.panel = document.getElementById('settingsPanel');
+        this.inputs = this.panel.querySelectorAll('[data-setting]');
+
+        this.setupEventListeners();
+        this.render();
+    }
+
+    setupEventListeners() {
+        document.getElementById('settingsButton').addEventListener('click', () => this.togglePanel());
+        document.getElementById('dismissSettings').addEventListener('click', () => this.hidePanel());
+
+        this.inputs.forEach(input => {
+            input.addEventListener('change', () => {
+                this.settings.set(input.dataset.setting, this.readInput(input));
+            });
+        });
+    }
+
+    readInput(input) {
+        if (input.type === 'checkbox') return input.checked;
+        if (input.type === 'range' || input.type === 'number') return Number(input.value);
+        return input.value;
+    }
+
+    render() {
+        this.inputs.forEach(input => {
+            const value = this.settings.get(input.dataset.setting);
+            if (input.type === 'checkbox') {
+                input.checked = Boolean(value);
+            } else {
+                input.value = value;
+            }
+        });
+    }
+
+    togglePanel() {
+        if (this.panel.classList.contains('panel-visible')) {
+            this.hidePanel();
+        } else {
+            this.showPanel();
+        }
+    }
+
+    showPanel() {
+        this.render();
+        this.panel.classList.remove('panel-hidden');
+        this.panel.classList.add('panel-visible');
+    }
+
+    hidePanel() {
+        this.panel.classList.remove('panel-visible');
+        this.panel.classList.add('panel-hidden');
+    }
+}
+
+export { SettingsPanel };
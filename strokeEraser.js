@@ -0,0 +1,138 @@
+import { getLineWidth } from './strokeStyle.js';
+
+// Eraser geometry for pen strokes. The eraser is a circle dragged along a path, so each
+// move covers a capsule: every point within `radius` of the segment a-b. A stroke's ink is
+// as wide as its pressure and style make it, so the capsule is widened by half the line width and
+// what is left of an erased stroke ends exactly where the eraser's edge touched the ink.
+
+// Range of t in [0, 1] for which p + t * d satisfies lo <= offset + t * slope <= hi
+function solveLinear(offset, slope, lo, hi) {
+    if (Math.abs(slope) < 1e-9) {
+        return offset >= lo && offset <= hi ? [-Infinity, Infinity] : null;
+    }
+    const t1 = (lo - offset) / slope;
+    const t2 = (hi - offset) / slope;
+    return [Math.min(t1, t2), Math.max(t1, t2)];
+}
+
+// Range of t for which p + t * d lies within radius of center
+function solveCircle(p, d, center, radius) {
+    const fx = p.x - center.x;
+    const fy = p.y - center.y;
+    const a = d.x * d.x + d.y * d.y;
+    const c = fx * fx + fy * fy - radius * radius;
+    if (a < 1e-12) {
+        return c <= 0 ? [-Infinity, Infinity] : null;
+    }
+    const b = 2 * (d.x * fx + d.y * fy);
+    const disc = b * b - 4 * a * c;
+    if (disc < 0) return null;
+    const root = Math.sqrt(disc);
+    return [(-b - root) / (2 * a), (-b + root) / (2 * a)];
+}
+
+// The part of segment p-q inside the capsule around a-b, as [t0, t1] along p-q, or null.
+// The capsule is convex, so the part is one interval: the hull of the intervals inside
+// its two end circles and its middle rectangle.
+function capsuleInterval(p, q, a, b, radius) {
+    const d = { x: q.x - p.x, y: q.y - p.y };
+    const intervals = [solveCircle(p, d, a, radius), solveCircle(p, d, b, radius)];
+
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    if (length > 1e-9) {
+        const ux = (b.x - a.x) / length;
+        const uy = (b.y - a.y) / length;
+        const px = p.x - a.x;
+        const py = p.y - a.y;
+        const along = solveLinear(px * ux + py * uy, d.x * ux + d.y * uy, 0, length);
+        const across = solveLinear(px * -uy + py * ux, d.x * -uy + d.y * ux, -radius, radius);
+        if (along && across) {
+            const start = Math.max(along[0], across[0]);
+            const end = Math.min(along[1], across[1]);
+            if (start <= end) intervals.push([start, end]);
+        }
+    }
+
+    const hits = intervals.filter(Boolean);
+    if (hits.length === 0) return null;
+
+    const t0 = Math.max(0, Math.min(...hits.map(hit => hit[0])));
+    const t1 = Math.min(1, Math.max(...hits.map(hit => hit[1])));
+    return t0 <= t1 ? [t0, t1] : null;
+}
+
+// Whether the eraser moving from a to b touches any of the stroke's ink
+function strokeTouchesEraser(stroke, a, b, radius) {
+    const { points } = stroke;
+    if (points.length === 1) {
+        return capsuleInterval(points[0], points[0], a, b, radius + getLineWidth(stroke, 0) / 2) !== null;
+    }
+    for (let i = 1; i < points.length; i++) {
+        if (capsuleInterval(points[i - 1], points[i], a, b, radius + getLineWidth(stroke, i) / 2)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// What is left of a pen stroke after the eraser moves from a to b: null when the eraser
+// missed it, otherwise the remaining pieces (possibly none) as new strokes. Cut ends get
+// their pressure and tilt interpolated, and pieces keep every other property of the stroke.
+function eraseFromStroke(stroke, a, b, radius) {
+    const { points, pressures, tilts } = stroke;
+    if (!strokeTouchesEraser(stroke, a, b, radius)) return null;
+    if (points.length === 1) return [];
+
+    const sampleAt = (i, t) => {
+        const j = Math.min(i + 1, points.length - 1);
+        const lerp = (from, to) => from + (to - from) * t;
+        return {
+            point: { x: lerp(points[i].x, points[j].x), y: lerp(points[i].y, points[j].y) },
+            pressure: lerp(pressures[i], pressures[j]),
+            tilt: { x: lerp(tilts[i].x, tilts[j].x), y: lerp(tilts[i].y, tilts[j].y) }
+        };
+    };
+
+    const pieces = [];
+    let piece = null;
+    const endPiece = () => {
+        if (piece && piece.length > 1) pieces.push(piece);
+        piece = null;
+    };
+
+    for (let i = 0; i < points.length - 1; i++) {
+        // Segments are drawn with the width at their end point
+        const hit = capsuleInterval(points[i], points[i + 1], a, b, radius + getLineWidth(stroke, i + 1) / 2);
+        if (!hit) {
+            if (!piece) piece = [sampleAt(i, 0)];
+            piece.push(sampleAt(i, 1));
+            continue;
+        }
+
+        const [t0, t1] = hit;
+        if (t0 > 0) {
+            if (!piece) piece = [sampleAt(i, 0)];
+            piece.push(sampleAt(i, t0));
+        }
+        endPiece();
+        if (t1 < 1) {
+            piece = [sampleAt(i, t1), sampleAt(i, 1)];
+        }
+    }
+    endPiece();
+
+    // Slivers shorter than a pixel are not worth keeping
+    return pieces
+        .filter(samples => samples.some(sample =>
+            Math.hypot(sample.point.x - samples[0].point.x, sample.point.y - samples[0].point.y) >= 1
+        ))
+        .map(samples => ({
+            ...stroke,
+            points: samples.map(sample => sample.point),
+            pressures: samples.map(sample => sample.pressure),
+            tilts: samples.map(sample => sample.tilt),
+            selected: false
+        }));
+}
+
+export { capsuleInterval, strokeTouchesEraser, eraseFromStroke };
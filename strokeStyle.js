@@ -0,0 +1,97 @@
+// How a pen stroke looks. Every stroke carries its own style, so it survives undo, export,
+// AI capture and reload: { color, widthScale, opacity, brush: 'pen' | 'highlighter' }, where
+// widthScale multiplies the pressure-based line width.
+// Strokes from before styles existed are opaque black pens (see boardFormat.js).
+
+const DEFAULT_STROKE_STYLE = { color: '#000000', widthScale: 1, opacity: 1, brush: 'pen' };
+
+// Swatches offered in the tool palette
+const STROKE_COLORS = ['#000000', '#E53935', '#FB8C00', '#FDD835', '#43A047', '#1E88E5', '#8E24AA', '#FFFFFF'];
+
+// The highlighter is a broad, flat, see-through marker that ignores pressure
+const HIGHLIGHTER_WIDTH = 24;
+const HIGHLIGHTER_OPACITY = 0.4;
+
+function getStrokeStyle(stroke) {
+    return {
+        color: stroke.color || DEFAULT_STROKE_STYLE.color,
+        widthScale: stroke.widthScale || DEFAULT_STROKE_STYLE.widthScale,
+        opacity: stroke.opacity === undefined ? DEFAULT_STROKE_STYLE.opacity : stroke.opacity,
+        brush: stroke.brush || DEFAULT_STROKE_STYLE.brush
+    };
+}
+
+// Width of the segment ending at `index`: pressure * 20 for pens (at least minWidth),
+// times the stroke's widthScale
+function getLineWidth(stroke, index, minWidth = 1) {
+    const style = getStrokeStyle(stroke);
+    if (style.brush === 'highlighter') {
+        return HIGHLIGHTER_WIDTH * style.widthScale;
+    }
+    const pressure = stroke.pressures ? stroke.pressures[index] : 0.5;
+    return Math.max(minWidth, pressure * 20) * style.widthScale;
+}
+
+function getStrokeAlpha(stroke) {
+    const style = getStrokeStyle(stroke);
+    return style.opacity * (style.brush === 'highlighter' ? HIGHLIGHTER_OPACITY : 1);
+}
+
+// Draw a stroke in world coordinates; shared by the canvas, AI captures and PNG export.
+// Opaque strokes are drawn segment by segment at their own pressure. See-through ones are
+// one path at their mean width, since overlapping segment ends would show as darker beads.
+// The highlighter multiplies, so ink under it stays dark. `color` overrides the stroke's.
+function traceStroke(ctx, stroke, { color = null, minWidth = 1 } = {}) {
+    const style = getStrokeStyle(stroke);
+    const points = stroke.points;
+    const alpha = getStrokeAlpha(stroke);
+
+    ctx.save();
+    ctx.strokeStyle = color || style.color;
+    ctx.fillStyle = color || style.color;
+    ctx.globalAlpha *= alpha;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    if (style.brush === 'highlighter') {
+        ctx.globalCompositeOperation = 'multiply';
+    }
+
+    if (points.length === 1) {
+        ctx.beginPath();
+        ctx.arc(points[0].x, points[0].y, getLineWidth(stroke, 0, minWidth) / 2, 0, Math.PI * 2);
+        ctx.fill();
+    } else if (alpha < 1) {
+        let total = 0;
+        for (let i = 1; i < points.length; i++) {
+            total += getLineWidth(stroke, i, minWidth);
+        }
+        ctx.lineWidth = total / (points.length - 1);
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; i++) {
+            ctx.lineTo(points[i].x, points[i].y);
+        }
+        ctx.stroke();
+    } else {
+        for (let i = 1; i < points.length; i++) {
+            ctx.lineWidth = getLineWidth(stroke, i, minWidth);
+            ctx.beginPath();
+            ctx.moveTo(points[i - 1].x, points[i - 1].y);
+            ctx.lineTo(points[i].x, points[i].y);
+            ctx.stroke();
+        }
+    }
+
+    ctx.restore();
+}
+
+export {
+    DEFAULT_STROKE_STYLE,
+    STROKE_COLORS,
+    HIGHLIGHTER_WIDTH,
+    HIGHLIGHTER_OPACITY,
+    getStrokeStyle,
+    getLineWidth,
+    getStrokeAlpha,
+    traceStroke
+};
@@ -0,0 +1,124 @@
+// Style picker: chooses the board's style preset and manages custom presets
+class StylePanel {
+    constructor(drawingManager, presets) {
+        this.drawingManager = drawingManager;
+        this.presets = presets;
+
+        this.panel = document.getElementById('stylePanel');
+        this.styleList = document.getElementById('styleList');
+        this.styleButton = document.getElementById('styleButton');
+        this.nameInput = document.getElementById('customStyleName');
+        this.promptInput = document.getElementById('customStylePrompt');
+
+        this.setupEventListeners();
+        this.update();
+    }
+
+    setupEventListeners() {
+        this.styleButton.addEventListener('click', () => this.togglePanel());
+        document.getElementById('dismissStyle').addEventListener('click', () => this.hidePanel());
+        document.getElementById('addStyleButton').addEventListener('click', () => this.addCustomStyle());
+
+        // Switching boards changes the style too
+        this.drawingManager.onStyleChange = () => this.update();
+        this.presets.onChange(() => this.update());
+    }
+
+    update() {
+        this.styleButton.textContent = `Style: ${this.drawingManager.style.name}`;
+
+        if (this.panel.classList.contains('panel-visible')) {
+            this.renderStyles();
+        }
+    }
+
+    renderStyles() {
+        this.styleList.innerHTML = '';
+        const current = this.drawingManager.style;
+
+        this.presets.getAll().forEach(preset => {
+            const item = document.createElement('div');
+            item.className = 'style-item';
+            if (preset.id === current.id) item.classList.add('current');
+
+            const select = document.createElement('button');
+            select.className = 'style-name';
+            select.textContent = preset.name;
+            select.title = preset.prompt;
+            select.onclick = () => this.selectStyle(preset);
+            item.appendChild(select);
+
+            if (this.presets.isCustom(preset.id)) {
+                const remove = document.createElement('button');
+                remove.className = 'board-action delete';
+                remove.textContent = 'Delete';
+                remove.onclick = () => {
+                    if (window.confirm(`Delete style "${preset.name}"?`)) {
+                        this.presets.removeCustom(preset.id);
+                    }
+                };
+                item.appendChild(remove);
+            }
+
+            this.styleList.appendChild(item);
+        });
+
+        // A board may use a custom style this device does not have; it is still listed
+        if (!this.presets.get(current.id)) {
+            const item = document.createElement('div');
+            item.className = 'style-item current';
+            const name = document.createElement('span');
+            name.className = 'style-name';
+            name.textContent = `${current.name} (from this board)`;
+            name.title = current.prompt;
+            item.appendChild(name);
+            this.styleList.appendChild(item);
+        }
+    }
+
+    selectStyle(preset) {
+        // The board keeps its own copy so it renders the same without the preset
+        this.drawingManager.setStyle({ id: preset.id, name: preset.name, prompt: preset.prompt });
+
+        if (window.toastManager) {
+            window.toastManager.logInfo(`Style: ${preset.name}`);
+        }
+    }
+
+    addCustomStyle() {
+        const name = this.nameInput.value.trim();
+        const prompt = this.promptInput.value.trim();
+        if (!name || !prompt) {
+            if (window.toastManager) {
+                window.toastManager.logError('A custom style needs a name and a prompt');
+            }
+            return;
+        }
+
+        const preset = this.presets.addCustom(name, prompt);
+        this.nameInput.value = '';
+        this.promptInput.value = '';
+        this.selectStyle(preset);
+    }
+
+    togglePanel() {
+        if (this.panel.classList.contains('panel-visible')) {
+            this.hidePanel();
+        } else {
+            this.showPanel();
+        }
+    }
+
+    showPanel() {
+        this.renderStyles();
+        this.panel.classList.remove('panel-hidden');
+        this.panel.classList.add('panel-visible');
+    }
+
+    hidePanel() {
+        this.panel.classList.remove('panel-visible');
+        this.panel.classList.add('panel-hidden');
+    }
+}
+
+export { StylePanel };
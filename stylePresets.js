@@ -0,0 +1,88 @@
+// Style presets for AI prompts: built-in styles plus user-defined ones kept in localStorage
+// A preset's prompt fragment describes the look every generated or edited image should have.
+const BUILT_IN_STYLES = [
+    {
+        id: 'photoreal',
+        name: 'Photoreal',
+        prompt: 'photorealistic, high-quality, with proper lighting, shadows, and details'
+    },
+    {
+        id: 'flat-illustration',
+        name: 'Flat illustration',
+        prompt: 'flat vector illustration with clean shapes, solid colors, and no photographic texture'
+    },
+    {
+        id: 'watercolor',
+        name: 'Watercolor',
+        prompt: 'watercolor painting with soft washes of color, loose edges, and visible paper texture'
+    },
+    {
+        id: 'wireframe',
+        name: 'Wireframe',
+        prompt: 'clean black line wireframe drawing on a white background, no shading or color'
+    }
+];
+
+// Boards without a style (and new installs) keep the original photorealistic look
+const DEFAULT_STYLE = BUILT_IN_STYLES[0];
+
+class StylePresets {
+    constructor(storageKey = 'drawingPad.stylePresets') {
+        this.storageKey = storageKey;
+        this.custom = this.load();
+        this.listeners = [];
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.error('Failed to load style presets:', error);
+            return [];
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.custom));
+        } catch (error) {
+            console.error('Failed to save style presets:', error);
+        }
+        this.listeners.forEach(listener => listener());
+    }
+
+    getAll() {
+        return [...BUILT_IN_STYLES, ...this.custom];
+    }
+
+    get(id) {
+        return this.getAll().find(preset => preset.id === id) || null;
+    }
+
+    isCustom(id) {
+        return this.custom.some(preset => preset.id === id);
+    }
+
+    addCustom(name, prompt) {
+        const preset = {
+            id: `custom-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            name: name,
+            prompt: prompt
+        };
+        this.custom.push(preset);
+        this.save();
+        return preset;
+    }
+
+    removeCustom(id) {
+        this.custom = this.custom.filter(preset => preset.id !== id);
+        this.save();
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+}
+
+export { StylePresets, BUILT_IN_STYLES, DEFAULT_STYLE };
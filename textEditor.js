@@ -0,0 +1,110 @@
+import { DeleteStrokesCommand, UpdateTextCommand } from './commands.js';
+import { TEXT_FONT_FAMILY, TEXT_LINE_HEIGHT, measureText } from './textObjects.js';
+
+// Editable overlay for text objects: double-click (or double-tap) one to change its text.
+// Enter or tapping elsewhere saves (Shift+Enter adds a line), Escape discards.
+// A saved change is one undo step; saving empty text deletes the object.
+class TextEditor {
+    constructor(drawingManager) {
+        this.drawingManager = drawingManager;
+        this.textObj = null;
+
+        this.input = document.getElementById('textEditor');
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const canvas = this.drawingManager.canvas;
+
+        canvas.addEventListener('dblclick', (e) => {
+            const point = this.drawingManager.canvasManager.getPointFromEvent(e);
+            const stroke = this.drawingManager.findStrokeAtPoint(point);
+            if (stroke && stroke.type === 'text-object') {
+                this.open(stroke);
+            }
+        });
+
+        // The canvas cancels pointerdown, which keeps the input focused; save explicitly
+        canvas.addEventListener('pointerdown', () => this.save(), true);
+
+        this.drawingManager.onEditText = (textObj) => this.open(textObj);
+        this.drawingManager.onViewChange = () => this.reposition();
+
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.save();
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close();
+            }
+        });
+        this.input.addEventListener('input', () => this.reposition());
+        this.input.addEventListener('blur', () => this.save());
+    }
+
+    open(textObj) {
+        this.save();
+
+        this.textObj = textObj;
+        this.input.value = textObj.text;
+        this.input.classList.remove('text-editor-hidden');
+        this.reposition();
+        this.input.focus();
+        this.input.select();
+    }
+
+    // Cover the text object, growing with what is typed
+    reposition() {
+        if (!this.textObj) return;
+
+        const canvasManager = this.drawingManager.canvasManager;
+        const rect = this.drawingManager.canvas.getBoundingClientRect();
+        const fontSize = this.textObj.fontSize;
+        const size = measureText(this.input.value || ' ', fontSize);
+        const topLeft = canvasManager.worldToScreen({
+            x: this.textObj.position.x - this.textObj.width / 2,
+            y: this.textObj.position.y - this.textObj.height / 2
+        });
+
+        this.input.style.left = `${rect.left + topLeft.x}px`;
+        this.input.style.top = `${rect.top + topLeft.y}px`;
+        this.input.style.width = `${(Math.max(size.width, this.textObj.width) + fontSize) * canvasManager.scale}px`;
+        this.input.style.height = `${size.height * canvasManager.scale}px`;
+        this.input.style.font = `${fontSize * canvasManager.scale}px ${TEXT_FONT_FAMILY}`;
+        this.input.style.lineHeight = String(TEXT_LINE_HEIGHT);
+    }
+
+    save() {
+        const textObj = this.textObj;
+        if (!textObj) return;
+
+        const text = this.input.value.trim();
+        this.close();
+
+        // The object may have been undone or its board closed while editing
+        const drawingManager = this.drawingManager;
+        if (!drawingManager.strokes.includes(textObj) || text === textObj.text) return;
+
+        if (!text) {
+            drawingManager.history.execute(new DeleteStrokesCommand(drawingManager, [textObj], 'delete text'));
+        } else {
+            // The box grows or shrinks around the same center
+            drawingManager.history.execute(new UpdateTextCommand(
+                textObj,
+                { text: textObj.text, width: textObj.width, height: textObj.height },
+                { text: text, ...measureText(text, textObj.fontSize) }
+            ));
+        }
+        drawingManager.redraw();
+    }
+
+    close() {
+        this.textObj = null;
+        this.input.classList.add('text-editor-hidden');
+        this.input.blur();
+    }
+}
+
+export { TextEditor };
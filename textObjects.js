@@ -0,0 +1,62 @@
+// Text objects: typed text on the board, usually recognized handwriting.
+// { type: 'text-object', text, position: { x, y } (center, like image objects), fontSize, width, height }
+// width and height always follow from the text and font size (see measureText).
+
+const TEXT_FONT_FAMILY = 'Arial, sans-serif';
+const TEXT_LINE_HEIGHT = 1.25; // In font sizes
+const TEXT_COLOR = '#000000';
+
+let measureContext = null;
+
+function getFont(fontSize) {
+    return `${fontSize}px ${TEXT_FONT_FAMILY}`;
+}
+
+// Size of the text's box at the given font size; lines are split on newlines only
+function measureText(text, fontSize) {
+    if (!measureContext) {
+        measureContext = document.createElement('canvas').getContext('2d');
+    }
+    measureContext.font = getFont(fontSize);
+
+    const lines = text.split('\n');
+    return {
+        width: Math.max(fontSize, ...lines.map(line => measureContext.measureText(line).width)),
+        height: lines.length * fontSize * TEXT_LINE_HEIGHT
+    };
+}
+
+// A text object in place of the handwriting it came from: centered on it, with lines
+// about as tall as the written ones
+function createTextObject(text, bounds) {
+    const lineCount = text.split('\n').length;
+    const fontSize = Math.round(Math.max(16, Math.min(96, bounds.height / lineCount / TEXT_LINE_HEIGHT)));
+
+    return {
+        type: 'text-object',
+        text: text,
+        position: { x: bounds.centerX, y: bounds.centerY },
+        fontSize: fontSize,
+        ...measureText(text, fontSize),
+        selected: false
+    };
+}
+
+// Draw in world coordinates; shared by the canvas, AI captures and PNG export
+function drawText(ctx, textObj) {
+    const left = textObj.position.x - textObj.width / 2;
+    const top = textObj.position.y - textObj.height / 2;
+    const lineHeight = textObj.fontSize * TEXT_LINE_HEIGHT;
+
+    ctx.save();
+    ctx.font = getFont(textObj.fontSize);
+    ctx.fillStyle = TEXT_COLOR;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    textObj.text.split('\n').forEach((line, i) => {
+        ctx.fillText(line, left, top + lineHeight * (i + 0.5));
+    });
+    ctx.restore();
+}
+
+export { TEXT_FONT_FAMILY, TEXT_LINE_HEIGHT, TEXT_COLOR, measureText, createTextObject, drawText };
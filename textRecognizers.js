@@ -0,0 +1,118 @@
+// Handwriting recognizers used by AIGenerator to turn pen strokes into text objects
+// Every recognizer exposes recognize({ imageData, signal }), where imageData is a PNG data URL
+// of the strokes drawn on white, and resolves with the text read from it ('' when there is none).
+// Aborting the signal rejects with an AbortError.
+
+// Reads the writing with the OpenAI vision model (or anything speaking its chat API)
+class VisionTextRecognizer {
+    constructor(config = {}) {
+        this.apiKey = config.apiKey;
+        this.baseUrl = config.baseUrl || 'https://api.openai.com';
+        this.model = config.model || 'gpt-4o-mini';
+    }
+
+    async recognize({ imageData, signal }) {
+        const prompt = `Transcribe the handwritten text in this image exactly as written, keeping its line breaks.
+Do not describe drawings, correct spelling or add anything that is not written.
+Return JSON: {"text": "..."} with an empty string if there is no readable text.`;
+
+        const response = await fetch(`${this.baseUrl}/v1/chat/completions`, {
+            method: 'POST',
+            signal: signal,
+            headers: {
+                'Authorization': `Bearer ${this.apiKey}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                model: this.model,
+                messages: [{
+                    role: 'user',
+                    content: [
+                        { type: 'text', text: prompt },
+                        { type: 'image_url', image_url: { url: imageData, detail: 'high' } }
+                    ]
+                }],
+                response_format: { type: 'json_object' }
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Text recognition failed: ${response.status} ${response.statusText}`);
+        }
+
+        const result = await response.json();
+        try {
+            const answer = JSON.parse(result.choices[0].message.content);
+            return typeof answer.text === 'string' ? answer.text.trim() : '';
+        } catch (e) {
+            console.error('Failed to parse text recognition response:', result);
+            return '';
+        }
+    }
+}
+
+// Reads the writing on the device with the browser's Shape Detection API (TextDetector),
+// so nothing is sent anywhere. Only some browsers ship it, some behind a flag.
+class LocalTextRecognizer {
+    async recognize({ imageData, signal }) {
+        if (typeof window.TextDetector !== 'function') {
+            throw new Error('This browser has no local text recognition (TextDetector)');
+        }
+
+        const image = await loadImage(imageData);
+        if (signal && signal.aborted) {
+            throw new DOMException('Text recognition aborted', 'AbortError');
+        }
+
+        const blocks = await new window.TextDetector().detect(image);
+        if (signal && signal.aborted) {
+            throw new DOMException('Text recognition aborted', 'AbortError');
+        }
+
+        // Reading order: blocks whose middles share a band form one line, left to right
+        const lines = [];
+        blocks
+            .filter(block => block.rawValue)
+            .sort((a, b) => a.boundingBox.top - b.boundingBox.top)
+            .forEach(block => {
+                const box = block.boundingBox;
+                const middle = box.top + box.height / 2;
+                const line = lines.find(candidate => Math.abs(candidate.middle - middle) < box.height / 2);
+                if (line) {
+                    line.blocks.push(block);
+                } else {
+                    lines.push({ middle, blocks: [block] });
+                }
+            });
+
+        return lines
+            .map(line => line.blocks
+                .sort((a, b) => a.boundingBox.left - b.boundingBox.left)
+                .map(block => block.rawValue)
+                .join(' '))
+            .join('\n')
+            .trim();
+    }
+}
+
+function loadImage(dataUrl) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('Failed to load handwriting image'));
+        img.src = dataUrl;
+    });
+}
+
+function createTextRecognizer(config = {}) {
+    switch (config.type || 'vision') {
+        case 'vision':
+            return new VisionTextRecognizer(config);
+        case 'local':
+            return new LocalTextRecognizer(config);
+        default:
+            throw new Error(`Unknown text recognizer: ${config.type}`);
+    }
+}
+
+export { VisionTextRecognizer, LocalTextRecognizer, createTextRecognizer };
@@ -114,6 +114,23 @@ class ToastManager {
             logElement.appendChild(prompt);
         }
         
+        // Add action buttons if present (e.g. Retry, Cancel)
+        if (logEntry.data && logEntry.data.actions) {
+            const actions = document.createElement('div');
+            actions.className = 'log-actions';
+            logEntry.data.actions.forEach(action => {
+                const button = document.createElement('button');
+                button.className = 'log-action';
+                button.textContent = action.label;
+                button.onclick = () => {
+                    this.hideLog(logEntry.id);
+                    action.onClick();
+                };
+                actions.appendChild(button);
+            });
+            logElement.appendChild(actions);
+        }
+        
         // Add to container
         this.logContainer.insertBefore(logElement, this.logContainer.firstChild);
     }
@@ -159,10 +176,11 @@ class ToastManager {
     }
     
     // Specific methods for different log types
-    logAIRequest(message, imageData = null, prompt = null) {
+    logAIRequest(message, imageData = null, prompt = null, actions = null) {
         this.addLog('ai-request', message, {
             prompt,
-            image: imageData
+            image: imageData,
+            actions
         });
     }
     
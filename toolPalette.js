@@ -0,0 +1,89 @@
+import { STROKE_COLORS } from './strokeStyle.js';
+
+// Pen tool palette in the toolbar: Pen, Highlighter or Eraser, and what the eraser removes.
+// Picking the eraser by Apple Pencil double-tap, as requested, is not implemented: Safari
+// does not pass the double-tap to web pages. Pens with an eraser end (not Apple Pencil)
+// erase with it whatever the tool (see DrawingManager).
+// While drawing, the brush bar under the toolbar sets the color (the pen and the
+// highlighter each keep their own), width and opacity of new strokes.
+class ToolPalette {
+    constructor(drawingManager, settings) {
+        this.drawingManager = drawingManager;
+        this.settings = settings;
+
+        this.penButton = document.getElementById('penTool');
+        this.highlighterButton = document.getElementById('highlighterTool');
+        this.eraserButton = document.getElementById('eraserTool');
+        this.eraserModeButton = document.getElementById('eraserModeButton');
+        this.brushBar = document.getElementById('brushBar');
+        this.swatchList = document.getElementById('colorSwatches');
+        this.widthInput = document.getElementById('brushWidth');
+        this.opacityInput = document.getElementById('brushOpacity');
+
+        this.swatches = STROKE_COLORS.map(color => {
+            const swatch = document.createElement('button');
+            swatch.className = 'color-swatch';
+            swatch.style.background = color;
+            swatch.title = color;
+            swatch.addEventListener('click', () => this.settings.set(this.getColorSetting(), color));
+            this.swatchList.appendChild(swatch);
+            return { color, element: swatch };
+        });
+
+        this.setupEventListeners();
+        this.update();
+    }
+
+    setupEventListeners() {
+        this.penButton.addEventListener('click', () => this.selectTool('pen'));
+        this.highlighterButton.addEventListener('click', () => this.selectTool('highlighter'));
+        this.eraserButton.addEventListener('click', () => this.selectTool('eraser'));
+        this.eraserModeButton.addEventListener('click', () => {
+            const mode = this.settings.get('eraserMode') === 'partial' ? 'stroke' : 'partial';
+            this.settings.set('eraserMode', mode);
+        });
+
+        this.widthInput.addEventListener('input', () => {
+            this.settings.set('brushWidth', Number(this.widthInput.value));
+        });
+        this.opacityInput.addEventListener('input', () => {
+            this.settings.set('brushOpacity', Number(this.opacityInput.value));
+        });
+
+        // The eraser mode can also change from the settings panel
+        this.settings.onChange((key) => {
+            if (['eraserMode', 'penColor', 'highlighterColor', 'brushWidth', 'brushOpacity'].includes(key)) {
+                this.update();
+            }
+        });
+    }
+
+    getColorSetting() {
+        return this.drawingManager.tool === 'highlighter' ? 'highlighterColor' : 'penColor';
+    }
+
+    selectTool(tool) {
+        this.drawingManager.setTool(tool);
+        this.update();
+    }
+
+    update() {
+        const tool = this.drawingManager.tool;
+        this.penButton.classList.toggle('active', tool === 'pen');
+        this.highlighterButton.classList.toggle('active', tool === 'highlighter');
+        this.eraserButton.classList.toggle('active', tool === 'eraser');
+        this.eraserModeButton.textContent = this.settings.get('eraserMode') === 'partial'
+            ? 'Erase: partial'
+            : 'Erase: strokes';
+
+        this.brushBar.classList.toggle('brush-bar-hidden', tool === 'eraser');
+        const color = this.settings.get(this.getColorSetting());
+        this.swatches.forEach(swatch => {
+            swatch.element.classList.toggle('selected', swatch.color.toLowerCase() === color.toLowerCase());
+        });
+        this.widthInput.value = this.settings.get('brushWidth');
+        this.opacityInput.value = this.settings.get('brushOpacity');
+    }
+}
+
+export { ToolPalette };
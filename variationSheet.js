@@ -0,0 +1,94 @@
+// Contact sheet of generated variations, shown just below (or above) their image.
+// Tap thumbnails to choose which to keep, then Keep (see AIGenerator.pickVariations).
+class VariationSheet {
+    constructor() {
+        this.sheet = document.getElementById('variationSheet');
+        this.grid = document.getElementById('variationGrid');
+        this.keepButton = document.getElementById('keepVariations');
+        this.current = null;
+
+        this.keepButton.addEventListener('click', () => this.finish([...this.current.chosen].sort((a, b) => a - b)));
+        document.getElementById('dismissVariations').addEventListener('click', () => this.finish(null));
+    }
+
+    // Resolves with the indices of the chosen results ([] = none), or null when the sheet
+    // is closed without a decision or replaced by a newer one. The first result is preselected.
+    show(canvasManager, imageObj, results) {
+        // Only one sheet at a time; the previous image keeps its first result
+        this.finish(null);
+
+        return new Promise(resolve => {
+            this.current = { canvasManager, imageObj, resolve, chosen: new Set([0]) };
+
+            this.grid.innerHTML = '';
+            results.forEach((result, index) => {
+                const thumb = document.createElement('button');
+                thumb.className = 'variation-thumb';
+                thumb.classList.toggle('selected', this.current.chosen.has(index));
+
+                const img = document.createElement('img');
+                img.src = `data:image/png;base64,${result}`;
+                img.alt = `Variation ${index + 1}`;
+                thumb.appendChild(img);
+
+                thumb.onclick = () => {
+                    const chosen = this.current.chosen;
+                    if (chosen.has(index)) {
+                        chosen.delete(index);
+                    } else {
+                        chosen.add(index);
+                    }
+                    thumb.classList.toggle('selected', chosen.has(index));
+                    this.updateKeepButton();
+                };
+                this.grid.appendChild(thumb);
+            });
+
+            this.updateKeepButton();
+            this.sheet.classList.remove('panel-hidden');
+            this.sheet.classList.add('panel-visible');
+            this.reposition();
+        });
+    }
+
+    updateKeepButton() {
+        const count = this.current.chosen.size;
+        this.keepButton.textContent = count === 0 ? 'Keep none' : `Keep ${count}`;
+    }
+
+    // Follow the image when the view pans or zooms
+    reposition() {
+        if (!this.current) return;
+
+        const { canvasManager, imageObj } = this.current;
+        const rect = canvasManager.canvas.getBoundingClientRect();
+        const top = canvasManager.worldToScreen({
+            x: imageObj.position.x,
+            y: imageObj.position.y - imageObj.height / 2
+        });
+        const bottom = canvasManager.worldToScreen({
+            x: imageObj.position.x,
+            y: imageObj.position.y + imageObj.height / 2
+        });
+
+        const margin = 12;
+        const sheetHeight = this.sheet.offsetHeight;
+        const fitsBelow = rect.top + bottom.y + margin + sheetHeight <= window.innerHeight;
+        const y = fitsBelow ? rect.top + bottom.y + margin : rect.top + top.y - margin - sheetHeight;
+
+        this.sheet.style.left = `${rect.left + bottom.x}px`;
+        this.sheet.style.top = `${Math.max(margin, y)}px`;
+    }
+
+    finish(chosen) {
+        if (!this.current) return;
+
+        const { resolve } = this.current;
+        this.current = null;
+        this.sheet.classList.remove('panel-visible');
+        this.sheet.classList.add('panel-hidden');
+        resolve(chosen);
+    }
+}
+
+export { VariationSheet };